@@ -22,13 +22,17 @@
 // Namespace FD.distribute has the following strategies -
 //    FD.distribute.naive
 //    FD.distribute.fail_first
+//    FD.distribute.set (for set variables)
 // 
 // Namespace FD.search has the following search algo -
 //    FD.search.depth_first
 //
 var FD = (function (exports, Math) {
 
+    // Domains are signed. The valid range of values an fdvar
+    // can take is [FD_INF, FD_SUP].
     var FD_SUP = 100000000;
+    var FD_INF = -FD_SUP;
 
     // Fails if the given dom is empty by throwing 'fail'.
     // If it isn't empty, dom itself is returned. 
@@ -175,14 +179,14 @@ var FD = (function (exports, Math) {
         return true;
     }
 
-    // The complement of a domain is such that domain U domain' = [[0, FD_SUP]],
+    // The complement of a domain is such that domain U domain' = [[FD_INF, FD_SUP]],
     // and domain INTERSECTION domain' = [] (empty domain).
     function domain_complement(d) {
         if (d.length === 0) {
             // Complement of the empty domain is the whole set.
-            return [[0, FD_SUP]];
+            return [[FD_INF, FD_SUP]];
         } else {
-            var end = 0;
+            var end = FD_INF;
             var result = [];
             var i, len;
             for (i = 0, len = d.length; i < len; ++i) {
@@ -191,7 +195,7 @@ var FD = (function (exports, Math) {
                 }
                 end = d[i][1] + 1;
             }
-            if (end < FD_SUP) {
+            if (end <= FD_SUP) {
                 result.push([end, FD_SUP]);
             }
             return result;
@@ -206,6 +210,59 @@ var FD = (function (exports, Math) {
         return simplify_domain(result);
     }
 
+    // Lists all the values in the given domain in increasing order.
+    // Only use this on domains known to be small.
+    function domain_values(d) {
+        var i, len, v, result = [];
+        for (i = 0, len = d.length; i < len; ++i) {
+            for (v = d[i][0]; v <= d[i][1]; ++v) {
+                result.push(v);
+            }
+        }
+        return result;
+    }
+
+    // Turns an array of values sorted in increasing order
+    // into a domain in CSIS form. Duplicates are allowed.
+    function domain_from_values(vals) {
+        var i, len, result = [], last = null;
+        for (i = 0, len = vals.length; i < len; ++i) {
+            if (last && vals[i] <= last[1] + 1) {
+                if (vals[i] > last[1]) {
+                    last[1] = vals[i];
+                }
+            } else {
+                result.push(last = [vals[i], vals[i]]);
+            }
+        }
+        return result;
+    }
+
+    // Checks whether the value v is in the domain d.
+    function domain_contains(d, v) {
+        var lo = 0, hi = d.length - 1, mid;
+        while (lo <= hi) {
+            mid = (lo + hi) >> 1;
+            if (v < d[mid][0]) {
+                hi = mid - 1;
+            } else if (v > d[mid][1]) {
+                lo = mid + 1;
+            } else {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Number of values in the given domain.
+    function domain_size(d) {
+        var i, N, s = 0;
+        for (i = 0, N = d.length; i < N; ++i) {
+            s += d[i][1] - d[i][0] + 1;
+        }
+        return s;
+    }
+
     // If a parent 'brancher' is given, then the queue is shared
     // with the parent, but the next_brancher is incremented.
     function Brancher(S, brancher) {
@@ -260,7 +317,14 @@ var FD = (function (exports, Math) {
     }
 
     // A propagator is solved if all the depvars it affects and
-    // depends on have domains of size = 1.
+    // depends on have domains of size = 1, or if it is entailed -
+    // i.e. it can't prune anything any more in its space or in any
+    // of its clones. A propagator says that it is entailed by setting
+    // `this.solved = true` in its step function. Solved propagators are
+    // dropped from the space at the end of propagation and aren't
+    // copied over to clones.
+    //
+    // The space S must be stable for the "all fixed" test to hold.
     function propagator_is_solved(S, p, dont_mark_solved) {
         var i, len, b;
         
@@ -274,8 +338,7 @@ var FD = (function (exports, Math) {
             }
         }
 
-//        return dont_mark_solved ? true : (p.solved = true);
-        return true;        
+        return dont_mark_solved ? true : (p.solved = true);
     }
 
     // Some common features for all propagators
@@ -319,7 +382,55 @@ var FD = (function (exports, Math) {
             lt: 'gte',
             gt: 'lte',
             lte: 'gt',
-            gte: 'lt'
+            gte: 'lt',
+            'in': 'not_in',
+            not_in: 'in'
+        },
+
+        // Relations of the linear constraint and their complements.
+        complementary_relation: {
+            '=': '!=',
+            '!=': '=',
+            '<=': '>',
+            '>': '<=',
+            '>=': '<',
+            '<': '>='
+        },
+
+        // Constraints without a complementary operator
+        // that can still be reified.
+        reifiable: {
+            distinct: true,
+            plus: true,
+            times: true,
+            scale: true,
+            times_plus: true,
+            sum: true,
+            product: true,
+            wsum: true,
+            linear: true,
+            div: true,
+            mod: true,
+            abs: true,
+            pow: true,
+            min: true,
+            max: true,
+            minimum: true,
+            maximum: true,
+            element: true,
+            inverse: true,
+            channel_bool: true,
+            table: true,
+            table_not: true,
+            count: true,
+            among: true,
+            gcc: true,
+            regular: true,
+            circuit: true,
+            subcircuit: true,
+            lex_lte: true,
+            lex_lt: true,
+            lex_chain: true
         }
     };
 
@@ -333,21 +444,35 @@ var FD = (function (exports, Math) {
             this.vars = {};
             for (i in S.vars) {
                 p = S.vars[i];
-                this.vars[i] = new FDVar(p.dom, p.step);
+                v = this.vars[i] = new FDVar(p.dom, p.step);
+                v.stable_dom = p.stable_dom;
             }
 
             // The propagators can simply be borrowed by reference
             // into this space since they all have a "set space" step
             // before they get to run.
             this._propagators = [];
+            this._watched = [];
+            this._stable_count = 0;
             for (i = 0; i < S._propagators.length; ++i) {
                 p = S._propagators[i];
                 if (!propagator_is_solved(S, p)) {
-                    v = {allvars: p.allvars, depvars: p.depvars, step: p.step};
+                    v = {allvars: p.allvars, depvars: p.depvars, step: p.step, events: p.events, cost: p.cost};
                     this.newprop(v);
+                    if (i < S._stable_count) {
+                        this._stable_count++;
+                    }
                 }
             }
 
+            // The set variables are described in terms of fdvars
+            // that are cloned above, so the descriptions are shared,
+            // but sets declared in this space go into its own map.
+            this.sets = {};
+            for (i in S.sets) {
+                this.sets[i] = S.sets[i];
+            }
+
             // The brancher queue object is shared with the parent,
             // except for the "next brancher" state which is made
             // local to this space.
@@ -367,10 +492,17 @@ var FD = (function (exports, Math) {
             // all have their __proto__ fields set to the parent's
             // fdvars object. This gets us copy on modify semantics.
             this.vars = {};
+            this.sets = {};
             this._propagators = [];
+            this._watched = [];
+            this._stable_count = 0;
             this.brancher = new Brancher(this);
         }
 
+        // Set by propagators that had to drop values because some
+        // result lay beyond [FD_INF, FD_SUP]. Clones inherit it.
+        this.clamped = S ? S.clamped : false;
+
         this.succeeded_children = 0;
         this.failed_children = 0;
         this.stable_children = 0;
@@ -402,16 +534,134 @@ var FD = (function (exports, Math) {
     // A monotonically increasing class-global counter for unique temporary variable names.
     Space._temp_count = 1;
 
-    // Run all the propagators until stability point. Returns the number
+    // Counts calls to propagate() so that each call can tell
+    // the propagators it has queued up from the others.
+    Space._propagate_count = 0;
+
+    // Kinds of domain changes that wake up propagators. A propagator
+    // can say which kind of change to its depvars it needs to see in
+    // an optional `events` field -
+    //    'fixed'  - only when they become determined,
+    //    'bounds' - when their min or max changes,
+    //    'domain' - (default) on any change at all.
+    // A change counts as every kind that comes after it here.
+    var FD_EVENTS = {fixed: 0, bounds: 1, domain: 2};
+
+    // Cost classes of propagators. A propagator can give its class in
+    // an optional `cost` field, and of the propagators queued up, those
+    // of the cheapest class always run first -
+    //    'cheap'     - a few fdvars and constant time, like eq and lt,
+    //    'linear'    - (default) time linear in the number of fdvars,
+    //    'expensive' - anything costlier, like the probes of reified
+    //                  and the global constraints.
+    var FD_COSTS = {cheap: 0, linear: 1, expensive: 2};
+
+    // The kind of change from domain d1 to domain d2, which is -1 if
+    // there was none. Domains are replaced rather than modified when
+    // an fdvar changes, so comparing the references is enough.
+    function domain_event(d1, d2) {
+        if (d1 === d2) {
+            return -1;
+        } else if (!d1 || (d2.length === 1 && d2[0][0] === d2[0][1])) {
+            // An fdvar that hasn't been through propagation yet
+            // wakes up everything that depends on it.
+            return FD_EVENTS.fixed;
+        } else if (d1[0][0] !== d2[0][0] || d1[d1.length - 1][1] !== d2[d2.length - 1][1]) {
+            return FD_EVENTS.bounds;
+        } else {
+            return FD_EVENTS.domain;
+        }
+    }
+
+    // Run the propagators until stability point. Returns the number
     // of changes made or throws a 'fail' if any propagator failed.
+    //
+    // Only the propagators that haven't run since the space was last
+    // stable and those whose depvars changed since then are queued up
+    // at first. After that, a propagator is queued up again whenever
+    // another one changes its depvars in a way it cares about. There
+    // is a queue per cost class and the cheaper queues are emptied
+    // first, so that the expensive propagators get to work on domains
+    // that the cheap ones have already narrowed down.
     Space.prototype.propagate = function () {
-        var i, ps, len, count, totalCount = 0;
-        do {
-            for (i = 0, ps = this._propagators, len = ps.length, count = 0; i < len; ++i) {
-                count += ps[i].step();
+        var ps = this._propagators, ws;
+        var stamp = ++Space._propagate_count;
+        var queues = [[], [], []], heads = [0, 0, 0], changed = [], totalCount = 0, solved = 0;
+        var i, j, c, p, v, before, count;
+
+        function enqueue(p) {
+            p.queued = stamp;
+            queues[FD_COSTS[p.cost || 'linear']].push(p);
+        }
+
+        function wake(v, e) {
+            var subs = v.subscribers, k;
+            if (e >= 0) {
+                changed.push(v);
+                for (k = 0; subs && k < subs.length; ++k) {
+                    if (subs[k].queued !== stamp && !subs[k].solved && e <= FD_EVENTS[subs[k].events || 'domain']) {
+                        enqueue(subs[k]);
+                    }
+                }
             }
-            totalCount += count;
-        } while (count > 0);
+        }
+
+        for (i = this._stable_count; i < ps.length; ++i) {
+            enqueue(ps[i]);
+        }
+
+        for (i = 0, ws = this._watched; i < ws.length; ++i) {
+            wake(ws[i], domain_event(ws[i].stable_dom, ws[i].dom));
+        }
+
+        while (true) {
+            // Find the cheapest class with anything queued up.
+            c = 0;
+            while (c < queues.length && heads[c] === queues[c].length) {
+                ++c;
+            }
+            if (c === queues.length) {
+                break;
+            }
+
+            p = queues[c][heads[c]++];
+            p.queued = 0;
+
+            for (j = 1, before = []; j < p.space.length; ++j) {
+                before.push(p.space[j].dom);
+            }
+
+            count = p.step();
+
+            if (p.solved) {
+                solved++;
+            }
+
+            if (count > 0) {
+                totalCount += count;
+                for (j = 1; j < p.space.length; ++j) {
+                    wake(p.space[j], domain_event(before[j - 1], p.space[j].dom));
+                }
+            }
+        }
+
+        for (i = 0; i < changed.length; ++i) {
+            v = changed[i];
+            if (v.stable_dom !== v.dom) {
+                if (v.trail) {
+                    v.trail.push(v, v.dom, v.stable_dom);
+                }
+                v.stable_dom = v.dom;
+            }
+        }
+
+        // Entailed propagators have nothing more to do here. They stay
+        // in the subscriber lists of the fdvars, but don't wake up.
+        if (solved > 0) {
+            this._propagators = ps.filter(function (p) { return !p.solved; });
+        }
+        this._stable_count = this._propagators.length;
+
         // console.log(JSON.stringify(this.solution()));
         return totalCount;
     };
@@ -465,6 +715,11 @@ var FD = (function (exports, Math) {
                 result[i] = (d.length === 0 ? false : ((d.length > 1 || d[0][1] > d[0][0]) ? d : d[0][0]));
             }
         }
+        for (i in this.sets) {
+            if (/^[0-9]+$/.test(i) === false) {
+                result[i] = set_value(this, this.sets[i]);
+            }
+        }
         return result;
     };
 
@@ -493,18 +748,44 @@ var FD = (function (exports, Math) {
     // Adds the new given propagator to this space and returns the space.
     Space.prototype.newprop = function (p) {
         this._propagators.push(this.initprop(p));
+        propagator_subscribe(this, p, true);
         return this;
     };
 
+    // Adds the propagator p to (or removes it from) the lists of
+    // propagators to wake up kept in the fdvars that it depends on.
+    function propagator_subscribe(S, p, on) {
+        var i, k, v, subs;
+        for (i = 0; i < p.depvars.length; ++i) {
+            v = S.vars[p.depvars[i]];
+            if (!v.subscribers) {
+                v.subscribers = [];
+                S._watched.push(v);
+            }
+            subs = v.subscribers;
+            k = subs.indexOf(p);
+            if (!on && k >= 0) {
+                subs.splice(k, 1);
+            } else if (on && k < 0) {
+                subs.push(p);
+            }
+        }
+    }
+
     // Returns a new unique name usable for a temporary fdvar
     // for more complex calculations. Every call will yield
     // a different name that is unique across all spaces.
+    // The name is a string of digits, so it is never taken
+    // for a constant by methods like `linear` that accept
+    // either.
     //
     // You can optionally specify a domain for the temporary
-    // if you already know something about it.
+    // if you already know something about it. Otherwise the
+    // temporary gets the full signed range [[FD_INF, FD_SUP]]
+    // since intermediate results can well be negative.
     Space.prototype.temp = function (dom) {
-        var t = ++(Space._temp_count);
-        this.decl(t, dom);
+        var t = String(++(Space._temp_count));
+        this.decl(t, dom || [[FD_INF, FD_SUP]]);
         return t;
     };
 
@@ -528,7 +809,7 @@ var FD = (function (exports, Math) {
     // the closure compiler too. So I'm changing the name to 'konst' 
     // instead. I'll keep the old name 'const' for compatibility.
     Space.prototype.konst = function (val) {
-        if (val < 0 || val > FD_SUP) {
+        if (val < FD_INF || val > FD_SUP) {
             throw "FD.space.konst: Value out of valid range";
         }
 
@@ -539,6 +820,15 @@ var FD = (function (exports, Math) {
     function FDVar(dom, step) {
         this.dom = dom || [[0, FD_SUP]];
         this.step = step || 0;
+
+        // The domain as of the last time the space was stable and
+        // the propagators to wake up when the domain changes.
+        this.stable_dom = null;
+        this.subscribers = null;
+
+        // When searching with a trail, the array that domain
+        // changes are recorded in so they can be undone.
+        this.trail = null;
     }
 
     FDVar.prototype = {
@@ -548,6 +838,9 @@ var FD = (function (exports, Math) {
 
         set_dom: function (d) {
             if (!domain_equal(this.dom, d)) { 
+                if (this.trail) {
+                    this.trail.push(this, this.dom, this.stable_dom);
+                }
                 this.dom = d; 
                 this.step++; 
             } 
@@ -616,7 +909,9 @@ var FD = (function (exports, Math) {
     // start with a lower case letter, a clash can certainly
     // be avoided if you stick to that rule.
     //
-    // If the domain is not specified, it is taken to be [[0, FD_SUP]].
+    // If the domain is not specified, it is taken to be [[0, FD_SUP]],
+    // as in Mozart/Oz. Variables that need to take on negative values
+    // must be declared with an explicit domain such as [[FD.INF, FD.SUP]].
     //
     // Returns the space. All methods, unless otherwise noted,
     // will return the current space so that other methods
@@ -647,22 +942,57 @@ var FD = (function (exports, Math) {
         return this;
     };
 
+    // Checks that the fdvar has been declared in the space and
+    // returns its name. `fn` names the method for the error.
+    function known_fdvar(S, name, fn) {
+        if (!S.vars.hasOwnProperty(name)) {
+            throw "FD.space." + fn + ": Unknown fdvar '" + name + "'";
+        }
+        return name;
+    }
+
     // Same function as var, but the domain is
     // that of a single number.
     Space.prototype.num = function(name, n) {
         return this.decl(name, [[n, n]]);
     };
 
+    // Constrains the fdvar to the given domain, given in the same
+    // form as for `decl`. Unlike declaring the fdvar again, this can
+    // only ever narrow its domain, and being a propagator, it can be
+    // reified and is kept when the space is cloned.
+    //
+    // Note that 'in' is a reserved word, so parsers that don't accept it
+    // as a property name need S['in'](name, dom) instead.
+    Space.prototype['in'] = function (name, dom) {
+        return this.newprop(membership_propagator(name, dom));
+    };
+
+    // Keeps the fdvar out of the given domain.
+    Space.prototype.not_in = function (name, dom) {
+        return this.newprop(membership_propagator(name, domain_complement(simplify_domain(dom.map(function (i) {
+            return [i[0], i[1]];
+        })))));
+    };
+
     // Adds propagators which reify the given operator application
     // to the given boolean variable.
     //
-    // `opname` is a string giving the name of the comparison
-    // operator to reify. Currently, 'eq', 'neq', 'lt', 'lte', 'gt' and 'gte'
-    // are supported.
+    // `opname` is a string giving the name of the constraint to reify.
+    // The comparison operators 'eq', 'neq', 'lt', 'lte', 'gt' and 'gte'
+    // as well as the domain membership tests 'in' and 'not_in' have
+    // complementary operators, so they propagate whichever way the
+    // boolean is decided. So does 'linear', whose relation has a
+    // complement. The other constraints listed in
+    // `Propagator.reifiable` are also supported, but when the boolean is 0,
+    // all that can be done is to fail once all their arguments are fixed
+    // and satisfy the constraint.
     //
-    // `argv` is an array of arguments accepted by the given 
-    // comparison operator. Currently this *must* be an array of two
-    // FD variable names.
+    // `argv` is an array of the arguments accepted by the given
+    // operator. For example, ['X', 'Y'] for 'lt', [['X', 'Y', 'Z']] for
+    // 'distinct' and ['X', [[1, 5]]] for 'in'. Note that "result"
+    // arguments *must* be given, since the functional notation makes
+    // no sense here.
     //
     // `boolname` is the name of the boolean variable to which to
     // reify the comparison operator. Note that this boolean
@@ -672,244 +1002,643 @@ var FD = (function (exports, Math) {
     // the reified boolean variable which you can pass to other
     // propagator creator functions.
     Space.prototype.reified = function (opname, argv, boolname) {
-        var result, positive_propagator, negative_propagator;
-
-        if (opname in Propagator.complementary_operator) {
-            if (boolname) {
-                this.vars[boolname].constrain([[0,1]]);
-                result = this;
-            } else {
-                boolname = this.temp([[0,1]]);
-                result = boolname;
-            }
-
-            console.log('GRAPH: ' + argv[0] + ' ' + opname + ' ' + argv[1] + ' :: ' + boolname);
+        var result, positive_propagators, negative_propagators = null;
+        var existing = {}, deps = [], argvars = [], tempvars = [];
+        var i;
 
-            this[opname].apply(this, argv);
-            positive_propagator = this._propagators.pop();
+        if (!(opname in Propagator.complementary_operator) && !Propagator.reifiable[opname]) {
+            throw "FD.space.reified: Unsupported operator '" + opname + "'";
+        }
 
-            this[Propagator.complementary_operator[opname]].apply(this, argv);
-            negative_propagator = this._propagators.pop();
+        if (boolname) {
+            this.vars[boolname].constrain([[0,1]]);
+            result = this;
+        } else {
+            boolname = this.temp([[0,1]]);
+            result = boolname;
+        }
 
-            var deps = argv.slice(0);
-            deps.push(boolname);
+        console.log('GRAPH: ' + argv[0] + ' ' + opname + ' ' + argv[1] + ' :: ' + boolname);
 
-            this.newprop({
-                allvars: deps,
-                depvars: deps,
-                step: function () {
-                    var S = this.space[0], v1 = this.space[1], v2 = this.space[2], b = this.space[3], bdom, snap, i, N, d, k, p, np;
-                    var nextStep = v1.step + v2.step + b.step, f;
-                    if (nextStep > this.last_step) {
-                        // We need to make sure the `last_step` related changes
-                        // are unique to this space, since p and np won't be
-                        // borrowed into cloned spaces, since they aren't in 
-                        // the `S._propagators` array.
+        for (i in this.vars) {
+            existing[i] = true;
+        }
 
-                        if (false && this.solved) {
-                            return 0;
-                        }
+        positive_propagators = reified_capture(this, opname, argv);
+        if (opname in Propagator.complementary_operator) {
+            negative_propagators = reified_capture(this, Propagator.complementary_operator[opname], argv);
+        } else if (opname === 'linear') {
+            negative_propagators = reified_capture(this, 'linear', [argv[0], argv[1], Propagator.complementary_relation[argv[2]], argv[3]]);
+        }
 
-                        if (!this.p) {                   
-                            this.p = p = S.initprop({
-                                allvars: positive_propagator.allvars, 
-                                depvars: positive_propagator.depvars,
-                                step: positive_propagator.step
-                            });
-                        } else {
-                            p = this.p;
-                        }
+        // Temporaries created while posting the constraint are
+        // determined by the arguments and need not be fixed for
+        // the constraint to be decided.
+        positive_propagators.concat(negative_propagators || []).forEach(function (p) {
+            p.allvars.forEach(function (name) {
+                deps.push(name);
+                (existing[name] ? argvars : tempvars).push(name);
+            });
+        });
+        deps.push(boolname);
 
-                        if (!this.np) {
-                            this.np = np = S.initprop({
-                                allvars: negative_propagator.allvars, 
-                                depvars: negative_propagator.depvars,
-                                step: negative_propagator.step
-                             });
-                        } else {
-                            np = this.np;
-                        }
+        this.newprop({
+            allvars: deps,
+            depvars: deps.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var S = this.space[0], vs = this.space.slice(1), b = vs[vs.length - 1];
+                var nextStep = sum_of_steps(vs), bdom, args;
 
-                        do {
-                            this.last_step = v1.step + v2.step + b.step;
+                if (nextStep > this.last_step) {
+                    // We need to make sure the `last_step` related changes
+                    // are unique to this space, since p and np won't be
+                    // borrowed into cloned spaces, since they aren't in 
+                    // the `S._propagators` array.
+                    if (!this.p) {
+                        this.p = positive_propagators.map(function (p) {
+                            return S.initprop({allvars: p.allvars, depvars: p.depvars, step: p.step});
+                        });
+                        this.np = negative_propagators && negative_propagators.map(function (p) {
+                            return S.initprop({allvars: p.allvars, depvars: p.depvars, step: p.step});
+                        });
+                        args = argvars.map(function (name) { return S.vars[name]; });
+                        this.args_fixed = function () {
+                            return args.every(function (v) { return !v.is_undetermined(); });
+                        };
+                        this.temps = tempvars.map(function (name) { return S.vars[name]; });
+                    }
 
-                            bdom = b.dom[0];
+                    do {
+                        this.last_step = sum_of_steps(vs);
+
+                        bdom = b.dom[0];
+
+                        if (bdom[0] === 1) {
+                            reified_run(this.p); // may throw
+                        } else if (bdom[1] === 0) {
+                            // The reified fdvar generates the negative condition.
+                            if (this.np) {
+                                reified_run(this.np); // may throw
+                            } else if (this.args_fixed()) {
+                                if (reified_probe(S, vs, this.p)) {
+                                    throw 'fail';
+                                }
 
-                            if (bdom[0] === 1) {
-                                p.step(); // may throw
-                                this.solved = propagator_is_solved(S, p);
+                                // Nothing else refers to the temporaries of a
+                                // constraint that doesn't hold. Fix them to any
+                                // value so that the space can be solved.
+                                this.temps.forEach(function (v) { v.set_dom([[v.min(), v.min()]]); });
                             }
+                        } else if (!reified_probe(S, vs, this.p)) {
+                            // The reified fdvar doesn't decide the condition, but
+                            // the condition can't hold.
+                            b.constrain([[0, 0]]);
+                        } else if (this.np ? !reified_probe(S, vs, this.np) : this.args_fixed()) {
+                            // The condition can't fail.
+                            b.constrain([[1, 1]]);
+                        }
+                    } while (sum_of_steps(vs) > this.last_step);
 
-                            if (bdom[1] === 0) {
-                                // The reified fdvar generates the negative condition.
-                                np.step(); // may throw
-                                this.solved = propagator_is_solved(S, np);
-                            }
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
 
-                            if (bdom[0] < bdom[1]) {
-                                // The reified fdvar doesn't decide the condition, so
-                                // we now need to check whether the conditions constrain
-                                // the reified fdvar.
-                                Propagator.save_vars(p);
-
-                                try {
-                                    p.step();
-                                    Propagator.restore_vars(p);
-                                } catch (e) {
-                                    Propagator.restore_vars(p);
-                                    b.constrain([[0, 0]]);
-                                }
+        return result;
+    };
 
-                                bdom = b.dom[0];
-                            }
+    // Posts the constraint `opname` with the arguments `argv` into S
+    // and takes the propagators it adds back out of S, returning them.
+    function reified_capture(S, opname, argv) {
+        var start = S._propagators.length;
 
-                            if (bdom[0] < bdom[1]) {
-                                Propagator.save_vars(np);
+        S[opname].apply(S, argv);
 
-                                try {
-                                    np.step();
-                                    Propagator.restore_vars(np);
-                                } catch (e) {
-                                    Propagator.restore_vars(np);
-                                    b.constrain([[1, 1]]);
-                                }
-                            }
-                        } while (v1.step + v2.step + b.step > this.last_step);
+        return S._propagators.splice(start, S._propagators.length - start).map(function (p) {
+            propagator_subscribe(S, p, false);
+            return p;
+        });
+    }
 
-                        this.last_step = v1.step + v2.step + b.step;
-                        return this.last_step - nextStep;
-                    } else {
-                        return 0;
-                    }
-                }
-            });
+    // Runs the given propagators until none of them makes any change.
+    function reified_run(props) {
+        var i, count;
+        do {
+            for (i = 0, count = 0; i < props.length; ++i) {
+                count += props[i].step();
+            }
+        } while (count > 0);
+    }
 
-            return result;
-        } else {
-            throw "FD.space.reified: Unsupported operator '" + opname + "'";
+    // Checks whether running the given propagators would fail, without
+    // leaving any changes behind in the fdvars vs, which must include all
+    // the fdvars they touch, or in the space S.
+    function reified_probe(S, vs, props) {
+        var doms = vs.map(function (v) { return v.dom; });
+        var steps = vs.map(function (v) { return v.step; });
+        var last_steps = props.map(function (p) { return p.last_step; });
+        var solved = props.map(function (p) { return p.solved; });
+        var clamped = S.clamped;
+        var i, ok = true;
+
+        try {
+            reified_run(props);
+        } catch (e) {
+            ok = false;
         }
-    };
-
-    // Domain equality propagator. Creates the propagator
-    // in this space. The specified variables need not
-    // exist at the time the propagator is created and
-    // added, since the fdvars are all referenced by name.
-    //
-    // A convention for propagators is that the return
-    // value of a propagator is number unless
-    // the propagator has failed, in which case it throws
-    // an exception 'fail'. The returned number indicates
-    // the number of domains that were changed by this propagation
-    // step. 
-    //
-    // The second optional argument indicates what you want the
-    // propagator to do.
-    Space.prototype.eq = function(v1name, v2name) {
 
-        // If v2name is not specified, then we're operating in functional syntax
-        // and the return value is expected to be v2name itself. This can happen
-        // when, for example, scale uses a weight factor of 1.
-        if (!v2name) {
-            return v1name;
+        for (i = 0; i < vs.length; ++i) {
+            vs[i].dom = doms[i];
+            vs[i].step = steps[i];
+        }
+        for (i = 0; i < props.length; ++i) {
+            props[i].last_step = last_steps[i];
+            props[i].solved = solved[i];
         }
+        S.clamped = clamped;
 
-        var p = {
-            // Make available the list of fd variables that this
-            // propagator affects. The space can check whether
-            // a propagator is at its limit using this list.
-            allvars: [v1name, v2name],
-            depvars: [v1name, v2name],
+        return ok;
+    }
+
+    // A propagator that constrains the named fdvar to the given domain.
+    function membership_propagator(name, dom) {
+        dom = simplify_domain(dom.map(function (i) { return [i[0], i[1]]; }));
+        return {
+            allvars: [name],
+            depvars: [name],
+            cost: 'cheap',
             step: function () {
-                var v1 = this.space[1], v2 = this.space[2];
-                var nextStep = v1.step + v2.step;
+                var v = this.space[1];
+                var nextStep = v.step;
                 if (nextStep > this.last_step) {
-                    var d = domain_non_empty(domain_intersection(v1.dom, v2.dom));
-                    v1.set_dom(d);
-                    v2.set_dom(d);
-                    this.last_step = v1.step + v2.step;
-                    return this.last_step - nextStep;
+                    v.constrain(dom);
+                    // The domain can only shrink from here on.
+                    this.solved = true;
+                    return (this.last_step = v.step) - nextStep;
                 } else {
                     return 0;
                 }
             }
         };
+    }
 
-        return this.newprop(p);
+    // Boolean propagators. These all work on 0/1 fdvars. As with the
+    // arithmetic propagators, the result argument can be omitted to get
+    // the name of a temporary holding the result. To just assert the
+    // condition, pass S.konst(1) as the result.
+
+    // result = AND of all the given booleans.
+    Space.prototype.and = function (boolnames, resultname) {
+        // result <=> AND(b) is the same as NOT result <=> OR(NOT b).
+        return bool_or(this, boolnames, [], resultname, false);
     };
 
-    // Less than propagator. See general propagator nores
-    // for fdeq which also apply to this one.
-    Space.prototype.lt = function (v1name, v2name) {
+    // result = OR of all the given booleans.
+    Space.prototype.or = function (boolnames, resultname) {
+        return bool_or(this, [], boolnames, resultname, true);
+    };
 
-        var p = {
-            allvars: [v1name, v2name],
-            depvars: [v1name, v2name],
-            step: function () {
-                var v1 = this.space[1], v2 = this.space[2];
-                var nextStep = v1.step + v2.step;
-                if (nextStep > this.last_step) {
-                    var b1 = domain_bounds(v1.dom);
-                    var b2 = domain_bounds(v2.dom);
-                    this.last_step = nextStep;
+    // result = NOT b.
+    Space.prototype.not = function (boolname, resultname) {
+        return bool_or(this, [boolname], [], resultname, true);
+    };
 
-                    if (b2[0] > b1[1]) {
-                        // Condition already satisfied. No changes necessary.
-                        // Change the step function to one that does almost no work.
-//                        this.step = empty_propagation_step;
-                        this.solved = true;                        
-                        return 0;
-                    }
+    // result = b1 XOR b2.
+    Space.prototype.xor = function (b1name, b2name, resultname) {
+        var retval = this;
 
-                    var count = 0;
+        if (!resultname) {
+            resultname = this.temp([[0, 1]]);
+            retval = resultname;
+        }
 
-                    do {
-                        this.last_step = v1.step + v2.step;
-                        b1 = domain_bounds(v1.dom);
-                        b2 = domain_bounds(v2.dom);
+        this.decl([b1name, b2name, resultname]);
+        this.vars[b1name].constrain([[0, 1]]);
+        this.vars[b2name].constrain([[0, 1]]);
+        this.vars[resultname].constrain([[0, 1]]);
 
-                        if (b2[1] - 1 < b1[1]) {
-                            // Need to change domain of v1.
-                            v1.set_dom(domain_non_empty(domain_intersection(v1.dom, [[b1[0], b2[1] - 1]])));
+        this.newprop({
+            allvars: [b1name, b2name, resultname],
+            depvars: [b1name, b2name, resultname],
+            cost: 'cheap',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                var i, fixed, sum;
+                if (nextStep > this.last_step) {
+                    for (i = 0, fixed = 0, sum = 0; i < 3; ++i) {
+                        if (!vs[i].is_undetermined()) {
+                            fixed++;
+                            sum += vs[i].min();
                         }
+                    }
 
-                        if (b1[0] + 1 > b2[0]) {
-                            // Need to change domain of v2.
-                            v2.set_dom(domain_non_empty(domain_intersection(v2.dom, [[b1[0] + 1, b2[1]]])));
+                    // b1 + b2 + result has to be even.
+                    if (fixed === 3 && sum % 2 !== 0) {
+                        throw 'fail';
+                    } else if (fixed === 2) {
+                        for (i = 0; i < 3; ++i) {
+                            if (vs[i].is_undetermined()) {
+                                vs[i].constrain([[sum % 2, sum % 2]]);
+                            }
                         }
-                    } while (v1.step + v2.step > this.last_step);
+                    }
 
-                    return (this.last_step = v1.step + v2.step) - nextStep;
+                    return (this.last_step = sum_of_steps(vs)) - nextStep;
                 } else {
                     return 0;
                 }
             }
-        };
+        });
 
-        return this.newprop(p);
+        return retval;
     };
 
-    // Greater than propagator.
-    Space.prototype.gt = function (v1name, v2name) {
-        // Note that a > b is the same condition as b < a.
-        // I got confused once that this swapping meant I must
-        // replace a > b with b <= a instead. Writing out
-        // this comment makes the logical error obvious :)
-        return this.lt(v2name, v1name);
+    // result = (b1 implies b2).
+    Space.prototype.implies = function (b1name, b2name, resultname) {
+        return bool_or(this, [b1name], [b2name], resultname, true);
     };
 
-    // Less than or equal to propagator.
-    Space.prototype.lte = function (v1name, v2name) {
+    // Asserts that at least one of the booleans in `positives`
+    // is 1 or at least one of those in `negatives` is 0.
+    Space.prototype.bool_clause = function (positives, negatives) {
+        bool_or(this, negatives, positives, this.konst(1), true);
+        return this;
+    };
 
-        var p = {
-            allvars: [v1name, v2name],
-            depvars: [v1name, v2name],
+    // Adds a propagator for the condition
+    //
+    //      R <=> OR(NOT negatives[i], positives[j])
+    //
+    // where R is the result boolean if `polarity` is true and
+    // its negation otherwise. Returns the name of the result if
+    // it had to be created and S otherwise.
+    function bool_or(S, negatives, positives, resultname, polarity) {
+        var retval = S;
+        var allvars, pols;
+
+        if (!resultname) {
+            resultname = S.temp([[0, 1]]);
+            retval = resultname;
+        }
+
+        allvars = negatives.concat(positives, [resultname]);
+        pols = negatives.map(function () { return false; }).concat(positives.map(function () { return true; }), [polarity]);
+
+        S.decl(allvars);
+        allvars.forEach(function (name) { S.vars[name].constrain([[0, 1]]); });
+
+        S.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
             step: function () {
-                var v1 = this.space[1], v2 = this.space[2];
-                var nextStep = v1.step + v2.step;
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
                 if (nextStep > this.last_step) {
-                    var b1 = domain_bounds(v1.dom);
-                    var b2 = domain_bounds(v2.dom);
-                    this.last_step = nextStep;
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        if (bool_or_prune(vs.slice(0, -1), pols, vs[vs.length - 1])) {
+                            this.solved = true;
+                        }
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+
+        return retval;
+    }
+
+    // Value of a literal - a boolean fdvar taken either as is (positive
+    // polarity) or negated. Returns -1 if the fdvar isn't fixed yet.
+    function literal_value(v, polarity) {
+        if (v.is_undetermined()) {
+            return -1;
+        }
+        return polarity ? v.min() : 1 - v.min();
+    }
+
+    // Fixes the literal to the given value.
+    function literal_set(v, polarity, value) {
+        v.constrain(polarity === !!value ? [[1, 1]] : [[0, 0]]);
+    }
+
+    // r_literal <=> OR(literals). pols gives the polarity
+    // of each of the fdvars in vs followed by that of r.
+    // Returns true once the condition is entailed.
+    function bool_or_prune(vs, pols, r) {
+        var rpol = pols[vs.length], rval = literal_value(r, rpol);
+        var i, val, open = [], any = false;
+
+        for (i = 0; i < vs.length; ++i) {
+            val = literal_value(vs[i], pols[i]);
+            if (val === 1) {
+                any = true;
+                break;
+            } else if (val < 0) {
+                open.push(i);
+            }
+        }
+
+        if (any) {
+            literal_set(r, rpol, 1);
+        } else if (open.length === 0) {
+            literal_set(r, rpol, 0);
+        } else if (rval === 0) {
+            for (i = 0; i < open.length; ++i) {
+                literal_set(vs[open[i]], pols[open[i]], 0);
+            }
+        } else if (rval === 1 && open.length === 1) {
+            literal_set(vs[open[0]], pols[open[0]], 1);
+        } else {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Asserts the same condition as bool_clause, but the propagator
+    // only watches two of the literals that aren't false yet. Until one
+    // of those two becomes false, a step doesn't look at anything else,
+    // which keeps models with thousands of clauses cheap to propagate.
+    Space.prototype.clause = function (positives, negatives) {
+        var allvars = positives.concat(negatives);
+        var P = positives.length, N = allvars.length;
+        var S = this;
+
+        // The watched positions are only a hint carried over from step to
+        // step and from a space to its clones. Every step checks them again,
+        // so it doesn't matter which space last moved them.
+        var watch = [0, 1];
+
+        if (N < 2) {
+            return this.bool_clause(positives, negatives);
+        }
+
+        this.decl(allvars);
+        allvars.forEach(function (name) { S.vars[name].constrain([[0, 1]]); });
+
+        this.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            events: 'fixed',
+            cost: 'cheap',
+            step: function () {
+                var vs = this.space;
+                var i, j, k, other, v, before;
+                for (j = 0; j < 2; ++j) {
+                    if (literal_value(vs[1 + watch[j]], watch[j] < P) === 1) {
+                        this.solved = true;
+                        return 0;
+                    }
+                }
+                for (j = 0; j < 2; ++j) {
+                    if (literal_value(vs[1 + watch[j]], watch[j] < P) === 0) {
+                        other = watch[1 - j];
+                        for (k = 1; k < N; ++k) {
+                            i = (watch[j] + k) % N;
+                            if (i !== other && literal_value(vs[1 + i], i < P) !== 0) {
+                                break;
+                            }
+                        }
+
+                        if (k < N) {
+                            watch[j] = i;
+                        } else {
+                            // All the other literals are false, so the
+                            // clause is down to the other watched one.
+                            v = vs[1 + other];
+                            before = v.step;
+                            literal_set(v, other < P, 1);
+                            this.solved = true;
+                            return v.step - before;
+                        }
+                    }
+                }
+                return 0;
+            }
+        });
+
+        return this;
+    };
+
+    // Pseudo-boolean constraint that at most k of the given
+    // booleans are 1. k can be a constant or an fdvar name.
+    Space.prototype.bool_sum_lte = function (boolnames, k) {
+        return bool_sum_propagator(this, boolnames, k, true);
+    };
+
+    // Pseudo-boolean constraint that at least k of the given
+    // booleans are 1. k can be a constant or an fdvar name.
+    Space.prototype.bool_sum_gte = function (boolnames, k) {
+        return bool_sum_propagator(this, boolnames, k, false);
+    };
+
+    function bool_sum_propagator(S, boolnames, k, at_most) {
+        var allvars = boolnames.concat([name_or_konst(S, k)]);
+
+        S.decl(allvars);
+        boolnames.forEach(function (name) { S.vars[name].constrain([[0, 1]]); });
+
+        S.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            events: 'bounds',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        if (bool_sum_prune(vs.slice(0, -1), vs[vs.length - 1], at_most)) {
+                            this.solved = true;
+                        }
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+
+        return S;
+    }
+
+    // Counts the booleans fixed to 1 and to 0. Once the count of ones
+    // reaches the upper bound of k (at_most) or the booleans that can
+    // still be 1 are just enough for the lower bound of k (!at_most),
+    // the remaining ones are fixed accordingly. Returns true once the
+    // condition holds whatever the remaining booleans and k turn out to be.
+    function bool_sum_prune(bs, k, at_most) {
+        var i, ones = 0, zeros = 0, N = bs.length;
+
+        for (i = 0; i < N; ++i) {
+            if (!bs[i].is_undetermined()) {
+                if (bs[i].min() === 1) {
+                    ones++;
+                } else {
+                    zeros++;
+                }
+            }
+        }
+
+        if (at_most) {
+            k.constrain([[ones, FD_SUP]]);
+            if (ones === k.max() && ones + zeros < N) {
+                for (i = 0; i < N; ++i) {
+                    if (bs[i].is_undetermined()) {
+                        bs[i].constrain([[0, 0]]);
+                    }
+                }
+                return true;
+            }
+            return N - zeros <= k.min();
+        } else {
+            k.constrain([[FD_INF, N - zeros]]);
+            if (N - zeros === k.min() && ones + zeros < N) {
+                for (i = 0; i < N; ++i) {
+                    if (bs[i].is_undetermined()) {
+                        bs[i].constrain([[1, 1]]);
+                    }
+                }
+                return true;
+            }
+            return ones >= k.max();
+        }
+    }
+
+    // Domain equality propagator. Creates the propagator
+    // in this space. The specified variables need not
+    // exist at the time the propagator is created and
+    // added, since the fdvars are all referenced by name.
+    //
+    // A convention for propagators is that the return
+    // value of a propagator is number unless
+    // the propagator has failed, in which case it throws
+    // an exception 'fail'. The returned number indicates
+    // the number of domains that were changed by this propagation
+    // step. 
+    //
+    // The second optional argument indicates what you want the
+    // propagator to do.
+    Space.prototype.eq = function(v1name, v2name) {
+
+        // If v2name is not specified, then we're operating in functional syntax
+        // and the return value is expected to be v2name itself. This can happen
+        // when, for example, scale uses a weight factor of 1.
+        if (!v2name) {
+            return v1name;
+        }
+
+        var p = {
+            // Make available the list of fd variables that this
+            // propagator affects. The space can check whether
+            // a propagator is at its limit using this list.
+            allvars: [v1name, v2name],
+            depvars: [v1name, v2name],
+            cost: 'cheap',
+            step: function () {
+                var v1 = this.space[1], v2 = this.space[2];
+                var nextStep = v1.step + v2.step;
+                if (nextStep > this.last_step) {
+                    var d = domain_non_empty(domain_intersection(v1.dom, v2.dom));
+                    v1.set_dom(d);
+                    v2.set_dom(d);
+                    this.last_step = v1.step + v2.step;
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        };
+
+        return this.newprop(p);
+    };
+
+    // Less than propagator. See general propagator nores
+    // for fdeq which also apply to this one.
+    Space.prototype.lt = function (v1name, v2name) {
+
+        var p = {
+            allvars: [v1name, v2name],
+            depvars: [v1name, v2name],
+            cost: 'cheap',
+            events: 'bounds',
+            step: function () {
+                var v1 = this.space[1], v2 = this.space[2];
+                var nextStep = v1.step + v2.step;
+                if (nextStep > this.last_step) {
+                    var b1 = domain_bounds(v1.dom);
+                    var b2 = domain_bounds(v2.dom);
+                    this.last_step = nextStep;
+
+                    if (b2[0] > b1[1]) {
+                        // Condition already satisfied. No changes necessary.
+                        // Change the step function to one that does almost no work.
+//                        this.step = empty_propagation_step;
+                        this.solved = true;                        
+                        return 0;
+                    }
+
+                    var count = 0;
+
+                    do {
+                        this.last_step = v1.step + v2.step;
+                        b1 = domain_bounds(v1.dom);
+                        b2 = domain_bounds(v2.dom);
+
+                        if (b2[1] - 1 < b1[1]) {
+                            // Need to change domain of v1.
+                            v1.set_dom(domain_non_empty(domain_intersection(v1.dom, [[b1[0], b2[1] - 1]])));
+                        }
+
+                        if (b1[0] + 1 > b2[0]) {
+                            // Need to change domain of v2.
+                            v2.set_dom(domain_non_empty(domain_intersection(v2.dom, [[b1[0] + 1, b2[1]]])));
+                        }
+                    } while (v1.step + v2.step > this.last_step);
+
+                    return (this.last_step = v1.step + v2.step) - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        };
+
+        return this.newprop(p);
+    };
+
+    // Greater than propagator.
+    Space.prototype.gt = function (v1name, v2name) {
+        // Note that a > b is the same condition as b < a.
+        // I got confused once that this swapping meant I must
+        // replace a > b with b <= a instead. Writing out
+        // this comment makes the logical error obvious :)
+        return this.lt(v2name, v1name);
+    };
+
+    // Less than or equal to propagator.
+    Space.prototype.lte = function (v1name, v2name) {
+
+        var p = {
+            allvars: [v1name, v2name],
+            depvars: [v1name, v2name],
+            cost: 'cheap',
+            events: 'bounds',
+            step: function () {
+                var v1 = this.space[1], v2 = this.space[2];
+                var nextStep = v1.step + v2.step;
+                if (nextStep > this.last_step) {
+                    var b1 = domain_bounds(v1.dom);
+                    var b2 = domain_bounds(v2.dom);
+                    this.last_step = nextStep;
 
                     if (b2[0] >= b1[1]) {
                         // Condition already satisfied. No changes necessary.
@@ -962,6 +1691,8 @@ var FD = (function (exports, Math) {
         var p = {
             allvars: [v1name, v2name],
             depvars: [v1name, v2name],
+            cost: 'cheap',
+            events: 'fixed',
             step: function () {
                 var v1 = this.space[1], v2 = this.space[2];
                 var nextStep = v1.step + v2.step;
@@ -970,7 +1701,7 @@ var FD = (function (exports, Math) {
                     var b2 = domain_bounds(v2.dom);
                     this.last_step = nextStep;
 
-                    if (b2[0] > b1[1] || b1[1] < b2[0]) {
+                    if (b2[0] > b1[1] || b1[0] > b2[1]) {
                         // Condition already satisfied. No changes necessary.
                         // Change the step function to one that does almost no work.
 //                        this.step = empty_propagation_step;
@@ -1014,48 +1745,353 @@ var FD = (function (exports, Math) {
 
     // Takes an arbitrary number of FD variables and adds propagators that
     // ensure that they are pairwise distinct.
-    Space.prototype.distinct = function (vars) {
-        var i, j, len;
-        for (i = 0, len = vars.length; i < len; ++i) {
-            for (j = 0; j < i; ++j) {
-                this.neq(vars[i], vars[j]);
-            }
+    //
+    // The optional `consistency` argument selects how much pruning is done -
+    //    'value'  - (default) Pairwise `neq` propagators which prune only
+    //               once a variable is fixed.
+    //    'bounds' - A single global propagator that detects Hall intervals
+    //               and keeps the bounds of the variables consistent.
+    //    'domain' - A single global propagator that uses bipartite matching
+    //               to remove every value that can't be part of a solution.
+    Space.prototype.distinct = function (vars, consistency) {
+        var i, j, len, prune;
+
+        switch (consistency || 'value') {
+            case 'value':
+                for (i = 0, len = vars.length; i < len; ++i) {
+                    for (j = 0; j < i; ++j) {
+                        this.neq(vars[i], vars[j]);
+                    }
+                }
+                return this;
+            case 'bounds':
+                prune = distinct_bounds_prune;
+                break;
+            case 'domain':
+                prune = distinct_domain_prune;
+                break;
+            default:
+                throw "FD.space.distinct: Unsupported consistency '" + consistency + "'";
         }
-        return this;
+
+        return this.newprop({
+            allvars: vars.slice(0),
+            depvars: vars.slice(0),
+            cost: consistency === 'domain' ? 'expensive' : 'linear',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        prune(vs);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
     };
 
+    // Adds up the 'step' counters of the given fdvars. Propagators
+    // over arbitrarily many variables use this to tell whether
+    // anything changed since they last ran.
+    function sum_of_steps(vs) {
+        var i, N, s = 0;
+        for (i = 0, N = vs.length; i < N; ++i) {
+            s += vs[i].step;
+        }
+        return s;
+    }
 
-    function ring(plusop, minusop, v1name, v2name, sumname) {
-        var retval = this;
+    // Bounds consistent filtering for `distinct`. A Hall interval
+    // [a,b] is one that contains the domains of exactly b-a+1 of the
+    // variables. Those variables use up all the values in [a,b], so
+    // the bounds of every other variable are pushed out of [a,b].
+    // More than b-a+1 variables crowding into [a,b] is a failure.
+    function distinct_bounds_prune(vs) {
+        var N = vs.length, order = [], mins = [], halls = [];
+        var i, j, k, a, b, x, lo, hi, count;
 
-        // If sumname is not specified, we need to create a temp
-        // for the result and return the name of that temp variable.
-        if (!sumname) {
-            sumname = this.temp();
-            retval = sumname;
+        for (i = 0; i < N; ++i) {
+            order.push(vs[i]);
+            mins.push(vs[i].min());
         }
 
-        console.log('GRAPH: ' + v1name + ' + ' + v2name  + ' = ' + sumname);
+        order.sort(function (x1, x2) { return x1.max() - x2.max(); });
+        mins.sort(function (a1, a2) { return a1 - a2; });
 
-        this.newprop({
-            allvars: [v1name, v2name, sumname],
-            depvars: [v1name, v2name],
-            step: function () {
-                var v1 = this.space[1], v2 = this.space[2], sum = this.space[3];
-                var nextStep = v1.step + v2.step + sum.step;
+        for (i = 0; i < N; ++i) {
+            a = mins[i];
+            if (i > 0 && a === mins[i - 1]) {
+                continue;
+            }
 
-                if (nextStep > this.last_step) {
-                    sum.set_dom(domain_non_empty(domain_intersection(plusop(v1.dom, v2.dom), sum.dom)));
-                    this.last_step = sum.step + v1.step + v2.step;
+            for (j = 0, count = 0; j < N; ++j) {
+                x = order[j];
+                if (x.min() >= a) {
+                    count++;
+                    b = x.max();
+                    if (count > b - a + 1) {
+                        throw 'fail';
+                    }
+                    if (count === b - a + 1) {
+                        halls.push([a, b]);
+                    }
                 }
-
-                return this.last_step - nextStep;
             }
-        });
+        }
 
-        this.newprop({
+        for (k = 0; k < halls.length; ++k) {
+            a = halls[k][0];
+            b = halls[k][1];
+            for (i = 0; i < N; ++i) {
+                x = vs[i];
+                lo = x.min();
+                hi = x.max();
+                if (lo >= a && hi <= b) {
+                    // One of the variables making up the Hall interval.
+                    continue;
+                }
+                if (lo >= a && lo <= b) {
+                    x.constrain([[b + 1, FD_SUP]]);
+                }
+                if (hi >= a && hi <= b) {
+                    x.constrain([[FD_INF, a - 1]]);
+                }
+            }
+        }
+    }
+
+    // Domain consistent filtering for `distinct` using Regin's
+    // matching based algorithm.
+    //
+    // A variable whose domain has at least as many values as there
+    // are variables can always be given a value once all the others
+    // have been assigned theirs. So only the "small" variables take
+    // part in the matching and the "large" ones just lose the values
+    // that the small ones cannot do without. This also keeps the
+    // value graph small when the variables have huge domains.
+    function distinct_domain_prune(vs) {
+        var N = vs.length, small = [], large = [];
+        var vals = [], valix = {}, adj = [], rev = [];
+        var match_var = [], match_val = [], visited;
+        var i, j, k, x, u, d, M, V;
+
+        for (i = 0; i < N; ++i) {
+            (domain_size(vs[i].dom) < N ? small : large).push(vs[i]);
+        }
+
+        M = small.length;
+        if (M === 0) {
+            return;
+        }
+
+        // Build the bipartite graph between the small variables and
+        // the values in their domains. adj[x] lists the indices of the
+        // values in the domain of x and rev[u] lists the variables whose
+        // domains include value u.
+        for (x = 0; x < M; ++x) {
+            d = domain_values(small[x].dom);
+            adj.push([]);
+            for (j = 0; j < d.length; ++j) {
+                if (!valix.hasOwnProperty(d[j])) {
+                    valix[d[j]] = vals.length;
+                    vals.push(d[j]);
+                    rev.push([]);
+                    match_val.push(-1);
+                }
+                adj[x].push(valix[d[j]]);
+                rev[valix[d[j]]].push(x);
+            }
+            match_var.push(-1);
+        }
+
+        V = vals.length;
+
+        // Maximum matching by augmenting paths.
+        function augment(x) {
+            var j, u;
+            for (j = 0; j < adj[x].length; ++j) {
+                u = adj[x][j];
+                if (!visited[u]) {
+                    visited[u] = true;
+                    if (match_val[u] < 0 || augment(match_val[u])) {
+                        match_var[x] = u;
+                        match_val[u] = x;
+                        return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        for (x = 0; x < M; ++x) {
+            visited = [];
+            if (!augment(x)) {
+                throw 'fail';
+            }
+        }
+
+        // Orient matched edges from variable to value and the rest
+        // from value to variable. Nodes 0..M-1 are the variables and
+        // nodes M..M+V-1 are the values.
+        function successors(n) {
+            var result, j;
+            if (n < M) {
+                return [M + match_var[n]];
+            } else {
+                result = [];
+                for (j = 0; j < rev[n - M].length; ++j) {
+                    if (rev[n - M][j] !== match_val[n - M]) {
+                        result.push(rev[n - M][j]);
+                    }
+                }
+                return result;
+            }
+        }
+
+        // Mark everything reachable from a free value through an
+        // alternating path. Such edges belong to some maximum matching.
+        var reach = [], queue = [], succ;
+        for (u = 0; u < V; ++u) {
+            if (match_val[u] < 0) {
+                reach[M + u] = true;
+                queue.push(M + u);
+            }
+        }
+        while (queue.length > 0) {
+            succ = successors(queue.pop());
+            for (j = 0; j < succ.length; ++j) {
+                if (!reach[succ[j]]) {
+                    reach[succ[j]] = true;
+                    queue.push(succ[j]);
+                }
+            }
+        }
+
+        // Edges within a strongly connected component are on an
+        // alternating cycle and therefore also belong to some maximum
+        // matching. Tarjan's algorithm, done iteratively.
+        var scc = graph_scc(M + V, successors);
+
+        for (x = 0; x < M; ++x) {
+            d = [];
+            for (j = 0; j < adj[x].length; ++j) {
+                u = adj[x][j];
+                if (u === match_var[x] || reach[M + u] || scc[M + u] === scc[x]) {
+                    d.push(vals[u]);
+                }
+            }
+            small[x].set_dom(domain_from_values(d));
+        }
+
+        if (large.length > 0) {
+            // Matched values that can't be freed up by an alternating
+            // path are needed by the small variables.
+            d = [];
+            for (u = 0; u < V; ++u) {
+                if (match_val[u] >= 0 && !reach[M + u]) {
+                    d.push(vals[u]);
+                }
+            }
+            if (d.length > 0) {
+                d = domain_complement(domain_from_values(d.sort(function (a, b) { return a - b; })));
+                for (i = 0; i < large.length; ++i) {
+                    large[i].constrain(d);
+                }
+            }
+        }
+    }
+
+    // Finds the strongly connected components of the directed
+    // graph with nodes 0..N-1 whose edges are given by the
+    // successors(n) function. Returns an array giving the component
+    // number of each node.
+    function graph_scc(N, successors) {
+        var index = [], low = [], comp = [], onstack = [];
+        var stack = [], work = [], counter = 0, ncomp = 0;
+        var n, top, succ, w;
+
+        for (n = 0; n < N; ++n) {
+            if (index[n] !== undefined) {
+                continue;
+            }
+
+            work.push({node: n, succ: successors(n), next: 0});
+            index[n] = low[n] = counter++;
+            stack.push(n);
+            onstack[n] = true;
+
+            while (work.length > 0) {
+                top = work[work.length - 1];
+                succ = top.succ;
+                if (top.next < succ.length) {
+                    w = succ[top.next++];
+                    if (index[w] === undefined) {
+                        index[w] = low[w] = counter++;
+                        stack.push(w);
+                        onstack[w] = true;
+                        work.push({node: w, succ: successors(w), next: 0});
+                    } else if (onstack[w] && index[w] < low[top.node]) {
+                        low[top.node] = index[w];
+                    }
+                } else {
+                    work.pop();
+                    if (low[top.node] === index[top.node]) {
+                        do {
+                            w = stack.pop();
+                            onstack[w] = false;
+                            comp[w] = ncomp;
+                        } while (w !== top.node);
+                        ncomp++;
+                    }
+                    if (work.length > 0 && low[top.node] < low[work[work.length - 1].node]) {
+                        low[work[work.length - 1].node] = low[top.node];
+                    }
+                }
+            }
+        }
+
+        return comp;
+    }
+
+
+    function ring(plusop, minusop, v1name, v2name, sumname) {
+        var retval = this;
+
+        // If sumname is not specified, we need to create a temp
+        // for the result and return the name of that temp variable.
+        if (!sumname) {
+            sumname = this.temp();
+            retval = sumname;
+        }
+
+        console.log('GRAPH: ' + v1name + ' + ' + v2name  + ' = ' + sumname);
+
+        this.newprop({
+            allvars: [v1name, v2name, sumname],
+            depvars: [v1name, v2name],
+            cost: 'cheap',
+            step: function () {
+                var v1 = this.space[1], v2 = this.space[2], sum = this.space[3];
+                var nextStep = v1.step + v2.step + sum.step;
+
+                if (nextStep > this.last_step) {
+                    sum.set_dom(domain_non_empty(domain_intersection(plusop(v1.dom, v2.dom), sum.dom)));
+                    this.last_step = sum.step + v1.step + v2.step;
+                }
+
+                return this.last_step - nextStep;
+            }
+        });
+
+        this.newprop({
             allvars: [v1name, v2name, sumname],
             depvars: [v2name, sumname],
+            cost: 'cheap',
             step: function () {
                 var v1 = this.space[1], v2 = this.space[2], sum = this.space[3];
                 var nextStep = v1.step + v2.step + sum.step;
@@ -1065,181 +2101,2740 @@ var FD = (function (exports, Math) {
                     this.last_step = sum.step + v1.step + v2.step;
                 }
 
-                return this.last_step - nextStep;
+                return this.last_step - nextStep;
+            }
+        });
+
+        this.newprop({
+            allvars: [v1name, v2name, sumname],
+            depvars: [v1name, sumname],
+            cost: 'cheap',
+            step: function () {
+                var v1 = this.space[1], v2 = this.space[2], sum = this.space[3];
+                var nextStep = v1.step + v2.step + sum.step;
+
+                if (nextStep > this.last_step) {
+                    v2.set_dom(domain_non_empty(domain_intersection(minusop(sum.dom, v1.dom), v2.dom)));
+                    this.last_step = sum.step + v1.step + v2.step;
+                }
+
+                return this.last_step - nextStep;
+            }
+        });
+
+        return retval;
+    };
+
+    // Bidirectional addition propagator.
+    Space.prototype.plus = function (v1name, v2name, sumname) {
+        return ring.call(this, dom_plus, dom_minus, v1name, v2name, sumname);
+    };
+
+    // Bidirectional multiplication propagator.
+    //
+    // The optional `consistency` argument selects how much pruning is done -
+    //    'bounds' - (default) Three propagators working on interval
+    //               products and quotients, which leave holes alone.
+    //    'domain' - A single propagator that works out the supported
+    //               values exactly when the domains are small and falls
+    //               back to the interval reasoning otherwise.
+    //
+    // In 'domain' mode, products are clamped to [FD_INF, FD_SUP]. When
+    // that drops values of v1 or v2 which only had products outside of
+    // that range, the space's `clamped` flag is set to true.
+    Space.prototype.times = function (v1name, v2name, prodname, consistency) {
+        switch (consistency || 'bounds') {
+            case 'bounds':
+                return ring.call(this, dom_times, dom_divby, v1name, v2name, prodname);
+            case 'domain':
+                break;
+            default:
+                throw "FD.space.times: Unsupported consistency '" + consistency + "'";
+        }
+
+        return function_propagator(this, [v1name, v2name], prodname, function (x, y, prod) {
+            var xdom = x.dom, ydom = y.dom, pdom = prod.dom;
+
+            if (!enumerate_prune(x, y, prod, function (u, v) { return u * v; })) {
+                prod.set_dom(domain_non_empty(domain_intersection(dom_times(x.dom, y.dom), prod.dom)));
+                x.set_dom(domain_non_empty(domain_intersection(dom_divby(prod.dom, y.dom), x.dom)));
+                y.set_dom(domain_non_empty(domain_intersection(dom_divby(prod.dom, x.dom), y.dom)));
+            }
+
+            if (times_clamp_dropped(xdom, x.dom, ydom, pdom) || times_clamp_dropped(ydom, y.dom, xdom, pdom)) {
+                this.clamped = true;
+            }
+        });
+    };
+
+    // Tells whether some of the values that went from the domain d0 to d
+    // have products with values of the other domain that lie beyond an
+    // end of [FD_INF, FD_SUP] which the product's domain pdom reaches.
+    // Those values might have been kept if there were no such limit.
+    function times_clamp_dropped(d0, d, other, pdom) {
+        var hi = domain_bounds(pdom)[1] === FD_SUP, lo = domain_bounds(pdom)[0] === FD_INF;
+        var ob = domain_bounds(other);
+
+        if ((!hi && !lo) || d === d0) {
+            return false;
+        }
+
+        return domain_intersection(d0, domain_complement(d)).some(function (iv) {
+            var c = [iv[0] * ob[0], iv[0] * ob[1], iv[1] * ob[0], iv[1] * ob[1]];
+            return (hi && Math.max.apply(null, c) > FD_SUP) || (lo && Math.min.apply(null, c) < FD_INF);
+        });
+    }
+
+    // factor = constant number (not an fdvar)
+    // vname is an fdvar name
+    // prodname is an fdvar name.
+    //
+    // factor * v = prod
+    Space.prototype.scale = function (factor, vname, prodname) {
+        if (factor === 1) {
+            return this.eq(vname, prodname);
+        } else if (factor === 0) {
+            return this.eq(this.temp([[0, 0]]), prodname);
+        }
+
+        var retval = this;
+        if (!prodname) {
+            prodname = this.temp();
+            retval = prodname;
+        }
+
+        this.newprop({
+            allvars: [vname, prodname],
+            depvars: [vname],
+            cost: 'cheap',
+            step: function () {
+                var v = this.space[1], prod = this.space[2];
+                var nextStep = v.step + prod.step;
+                if (nextStep > this.last_step) {
+                    var kd;
+
+                    // We multiply only the interval bounds. A negative
+                    // factor flips each interval and their order.
+                    kd = simplify_domain(dom_clamp(v.dom.map(function (i) {
+                        return factor > 0 ? [i[0] * factor, i[1] * factor] : [i[1] * factor, i[0] * factor];
+                    })));
+
+                    prod.set_dom(domain_non_empty(domain_intersection(kd, prod.dom)));
+
+                    return (this.last_step = v.step + prod.step) - nextStep;
+                } else {
+                    return 0;
+                }
+             }
+        });
+
+        this.newprop({
+            allvars: [vname, prodname],
+            depvars: [prodname],
+            cost: 'cheap',
+            step: function () {
+                var v = this.space[1], prod = this.space[2];
+                var nextStep = v.step + prod.step;
+                if (nextStep > this.last_step) {
+                    var dbyk;
+
+                    dbyk = simplify_domain(dom_clamp(prod.dom.map(function (i) {
+                        return (factor > 0
+                                ? [idiv_ceil(i[0], factor), idiv_floor(i[1], factor)]
+                                : [idiv_ceil(i[1], factor), idiv_floor(i[0], factor)]);
+                    })));
+
+                    v.set_dom(domain_non_empty(domain_intersection(dbyk, v.dom)));
+
+                    return (this.last_step = v.step + prod.step) - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+        
+        return retval;
+    };
+
+    // TODO: Can be made more efficient.
+    Space.prototype.times_plus = function (k1, v1name, k2, v2name, resultname) {
+        return this.plus(this.scale(k1, v1name), this.scale(k2, v2name), resultname);
+    };
+
+    // Sum of N fdvars = resultFDVar
+    // Creates as many temporaries as necessary.
+    Space.prototype.sum = function (vars, resultName) {
+        var n, N, t1, t2;
+        var retval = this;
+        if (!resultName) {
+            resultName = this.temp();
+            retval = resultName;
+        }
+
+        switch (vars.length) {
+            case 0: throw "Space.sum: Nothing to sum!";
+            case 1: this.eq(vars[0], resultName); return retval;
+            case 2: this.plus(vars[0], vars[1], resultName); return retval;
+            default:
+                n = vars.length >> 1;
+                t2 = this.temp();
+                this.sum(vars.slice(n), t2);
+                if (n > 1) {
+                    t1 = this.temp();
+                    this.sum(vars.slice(0, n), t1);
+                } else {
+                    t1 = vars[0];
+                }
+                this.plus(t1, t2, resultName);
+                return retval;
+        }
+    };
+
+    // Product of N fdvars = resultFDvar.
+    // Create as many temporaries as necessary. The optional
+    // `consistency` is passed on to `times`.
+    Space.prototype.product = function (vars, resultName, consistency) {
+        var n, t1, t2;
+        var retval = this;
+        if (!resultName) {
+            resultName = this.temp();
+            retval = resultName;
+        }
+
+        switch (vars.length) {
+            case 0: return retval;
+            case 1: this.eq(vars[0], resultName); return retval;
+            case 2: this.times(vars[0], vars[1], resultName, consistency); return retval;
+            default:
+                n = vars.length >> 1;
+                t2 = this.temp();
+                this.product(vars.slice(n), t2, consistency);
+                if (n > 1) {
+                    t1 = this.temp();
+                    this.product(vars.slice(0, n), t1, consistency);
+                } else {
+                    t1 = vars[0];
+                }
+                this.times(t1, t2, resultName, consistency);
+                return retval;
+        }
+    };
+
+    // Weighted sum of fdvars where the weights are constants.
+    Space.prototype.wsum = function (kweights, vars, resultName) {
+        var temps = [];
+        var i, len, t;
+        for (i = 0, len = vars.length; i < len; ++i) {
+            t = this.temp();
+            this.scale(kweights[i], vars[i], t);
+            temps.push(t);
+        }
+        return this.sum(temps, resultName);
+    }
+
+    // Linear constraint - SUM(coeffs[i] * vars[i]) <relation> rhs.
+    //
+    // The coefficients are constant integers, which can be negative.
+    // `relation` is one of '=', '!=', '<=', '<', '>=' and '>', and `rhs`
+    // is either a constant number or the name of a declared fdvar.
+    //
+    // Unlike `wsum`, this adds a single bounds consistent propagator and
+    // no temporaries, so it stays cheap for sums over many fdvars.
+    Space.prototype.linear = function (coeffs, vars, relation, rhs) {
+        if (typeof(rhs) === 'number') {
+            return linear_propagator(this, coeffs, vars, relation, rhs);
+        }
+
+        known_fdvar(this, rhs, 'linear');
+        return linear_propagator(this, coeffs.concat([-1]), vars.concat([rhs]), relation, 0);
+    };
+
+    // Adds the propagator for SUM(coeffs[i] * vars[i]) <relation> c,
+    // where c is a constant number.
+    function linear_propagator(S, coeffs, vars, relation, c) {
+        var names = [], ks = [], index = {};
+        var i;
+
+        function add_term(k, name) {
+            if (index.hasOwnProperty(name)) {
+                ks[index[name]] += k;
+            } else {
+                index[name] = names.length;
+                names.push(name);
+                ks.push(k);
+            }
+        }
+
+        for (i = 0; i < vars.length; ++i) {
+            add_term(coeffs[i], vars[i]);
+        }
+
+        switch (relation) {
+            case '<': c = c - 1; relation = '<='; break;
+            case '>': c = c + 1; relation = '>='; break;
+            case '=': case '!=': case '<=': case '>=': break;
+            default: throw "FD.space.linear: Unsupported relation '" + relation + "'";
+        }
+
+        return S.newprop({
+            allvars: names,
+            depvars: names.slice(0),
+            events: relation === '!=' ? 'fixed' : 'bounds',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        linear_prune(vs, ks, relation, c);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    if (linear_entailed(vs, ks, relation, c)) {
+                        this.solved = true;
+                    }
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    }
+
+    function linear_prune(vs, ks, relation, c) {
+        var i, rest, open = -1;
+
+        switch (relation) {
+            case '=':
+                linear_prune_lte(vs, ks, c);
+                linear_prune_lte(vs, ks.map(function (k) { return -k; }), -c);
+                break;
+            case '<=':
+                linear_prune_lte(vs, ks, c);
+                break;
+            case '>=':
+                linear_prune_lte(vs, ks.map(function (k) { return -k; }), -c);
+                break;
+            case '!=':
+                // Nothing to do until all but one fdvar are fixed.
+                for (i = 0, rest = c; i < vs.length; ++i) {
+                    if (ks[i] === 0) {
+                        continue;
+                    } else if (!vs[i].is_undetermined()) {
+                        rest -= ks[i] * vs[i].min();
+                    } else if (open < 0) {
+                        open = i;
+                    } else {
+                        return;
+                    }
+                }
+
+                if (open < 0) {
+                    if (rest === 0) {
+                        throw 'fail';
+                    }
+                } else if (rest % ks[open] === 0) {
+                    vs[open].constrain(domain_complement([[rest / ks[open], rest / ks[open]]]));
+                }
+                break;
+        }
+    }
+
+    // Tells whether SUM(ks[i] * vs[i]) `relation` c holds for
+    // all the values left in the domains of the fdvars.
+    function linear_entailed(vs, ks, relation, c) {
+        var i, lo = 0, hi = 0;
+
+        for (i = 0; i < vs.length; ++i) {
+            lo += ks[i] > 0 ? ks[i] * vs[i].min() : ks[i] * vs[i].max();
+            hi += ks[i] > 0 ? ks[i] * vs[i].max() : ks[i] * vs[i].min();
+        }
+
+        switch (relation) {
+            case '=': return lo === c && hi === c;
+            case '!=': return lo > c || hi < c;
+            case '<=': return hi <= c;
+            case '>=': return lo >= c;
+        }
+    }
+
+    // SUM(ks[i] * vs[i]) <= c. Each term can at most take up what
+    // the smallest possible values of the other terms leave of c.
+    function linear_prune_lte(vs, ks, c) {
+        var mins = [], total = 0;
+        var i, k, slack;
+
+        for (i = 0; i < vs.length; ++i) {
+            k = ks[i];
+            mins.push(k > 0 ? k * vs[i].min() : k * vs[i].max());
+            total += mins[i];
+        }
+
+        if (total > c) {
+            throw 'fail';
+        }
+
+        for (i = 0; i < vs.length; ++i) {
+            k = ks[i];
+            slack = c - (total - mins[i]);
+            if (k > 0) {
+                vs[i].constrain([[FD_INF, idiv_floor(slack, k)]]);
+            } else if (k < 0) {
+                vs[i].constrain([[idiv_ceil(slack, k), FD_SUP]]);
+            }
+        }
+    }
+
+    // Integer division - `x / y = result`, rounding towards zero
+    // as in C, so that `-7 / 2 = -3`. The divisor is kept away from 0.
+    // Like all the arithmetic propagators below, if `resultname` is
+    // omitted, a temporary is created for the result and its name
+    // is returned ("functional notation").
+    Space.prototype.div = function (xname, yname, resultname) {
+        return function_propagator(this, [xname, yname], resultname, div_prune);
+    };
+
+    // Remainder - `x % y = result`, with the sign of x as with
+    // JavaScript's `%` operator, so that `x = y * (x / y) + x % y`
+    // with `div`'s rounding. The divisor is kept away from 0.
+    Space.prototype.mod = function (xname, yname, resultname) {
+        return function_propagator(this, [xname, yname], resultname, mod_prune);
+    };
+
+    // Absolute value - `|v| = result`. Domain consistent.
+    Space.prototype.abs = function (vname, resultname) {
+        return function_propagator(this, [vname], resultname, function (x, r) {
+            r.constrain(dom_pow(x.dom, 1, true));
+            x.constrain(dom_root(r.dom, 1, true));
+        });
+    };
+
+    // Power with a constant exponent - `v ^ k = result`, where k is
+    // an integer >= 0. `v ^ 0` is 1 for all v, including 0.
+    Space.prototype.pow = function (vname, k, resultname) {
+        if (k !== Math.floor(k) || k < 0) {
+            throw "FD.space.pow: Exponent must be a constant integer >= 0";
+        }
+
+        return function_propagator(this, [vname], resultname, function (x, r) {
+            if (k === 0) {
+                r.constrain([[1, 1]]);
+            } else {
+                r.constrain(dom_pow(x.dom, k, k % 2 === 0));
+                x.constrain(dom_root(r.dom, k, k % 2 === 0));
+            }
+        });
+    };
+
+    // Binary minimum - `min(v1, v2) = result`.
+    Space.prototype.min = function (v1name, v2name, resultname) {
+        return this.minimum([v1name, v2name], resultname);
+    };
+
+    // Binary maximum - `max(v1, v2) = result`.
+    Space.prototype.max = function (v1name, v2name, resultname) {
+        return this.maximum([v1name, v2name], resultname);
+    };
+
+    // The smallest of the given fdvars equals the result.
+    Space.prototype.minimum = function (vars, resultname) {
+        if (vars.length === 0) {
+            throw "FD.space.minimum: Need at least one fdvar";
+        }
+
+        return function_propagator(this, vars, resultname, function () {
+            var vs = Array.prototype.slice.call(arguments);
+            var r = vs.pop();
+            extremum_prune(vs, r, 1);
+        });
+    };
+
+    // The largest of the given fdvars equals the result.
+    Space.prototype.maximum = function (vars, resultname) {
+        if (vars.length === 0) {
+            throw "FD.space.maximum: Need at least one fdvar";
+        }
+
+        return function_propagator(this, vars, resultname, function () {
+            var vs = Array.prototype.slice.call(arguments);
+            var r = vs.pop();
+            extremum_prune(vs, r, -1);
+        });
+    };
+
+    // Adds a single propagator that calls `prune` with the fdvars
+    // of `argnames` followed by the result fdvar till nothing more
+    // changes, with the space as `this`. Takes care of the functional
+    // notation.
+    function function_propagator(S, argnames, resultname, prune) {
+        var retval = S;
+        var allvars;
+
+        if (!resultname) {
+            resultname = S.temp();
+            retval = resultname;
+        }
+
+        allvars = argnames.concat([resultname]);
+
+        S.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        prune.apply(this.space[0], vs);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+
+        return retval;
+    }
+
+    // Largest number of (x, y) value pairs for which we work out
+    // the supports of x op y = z exactly instead of using bounds.
+    var FD_ENUM_LIMIT = 4096;
+
+    // Narrows x, y and z to the values that take part in some
+    // x op y = z. `op` gives null where it is undefined. Returns false
+    // without touching anything when the domains are too big.
+    function enumerate_prune(x, y, z, op) {
+        var xs, ys, zs = [], xok = [], yok = {}, i, j, v;
+
+        if (x.size() * y.size() > FD_ENUM_LIMIT) {
+            return false;
+        }
+
+        xs = domain_values(x.dom);
+        ys = domain_values(y.dom);
+        for (i = 0; i < xs.length; ++i) {
+            for (j = 0; j < ys.length; ++j) {
+                if (x === y && xs[i] !== ys[j]) {
+                    continue;
+                }
+                v = op(xs[i], ys[j]);
+                if (v !== null && domain_contains(z.dom, v)) {
+                    if (xok[xok.length - 1] !== xs[i]) {
+                        xok.push(xs[i]);
+                    }
+                    yok[ys[j]] = true;
+                    zs.push(v);
+                }
+            }
+        }
+
+        x.constrain(domain_from_values(xok));
+        y.constrain(domain_from_values(ys.filter(function (v) { return yok[v]; })));
+        z.constrain(domain_from_values(zs.sort(function (a, b) { return a - b; })));
+        return true;
+    }
+
+    // Integer division rounding towards zero.
+    function idiv_trunc(a, b) {
+        return (a < 0) === (b < 0) ? idiv_floor(a, b) : idiv_ceil(a, b);
+    }
+
+    // Splits the bounds of y into its negative and positive parts,
+    // leaving out 0.
+    function nonzero_parts(y) {
+        var parts = [];
+        if (y.min() < 0) {
+            parts.push([y.min(), Math.min(y.max(), -1)]);
+        }
+        if (y.max() > 0) {
+            parts.push([Math.max(y.min(), 1), y.max()]);
+        }
+        return parts;
+    }
+
+    function div_prune(x, y, q) {
+        var ym, xm, qm, lo = FD_SUP, hi = FD_INF;
+        var a = x.min(), b = x.max();
+
+        y.constrain(domain_complement([[0, 0]]));
+
+        if (enumerate_prune(x, y, q, function (u, v) { return v === 0 ? null : idiv_trunc(u, v); })) {
+            return;
+        }
+
+        // For y of one sign, x / y is monotone in both,
+        // so the extremes are at the corners.
+        nonzero_parts(y).forEach(function (p) {
+            var c = [idiv_trunc(a, p[0]), idiv_trunc(a, p[1]), idiv_trunc(b, p[0]), idiv_trunc(b, p[1])];
+            lo = Math.min(lo, Math.min.apply(null, c));
+            hi = Math.max(hi, Math.max.apply(null, c));
+        });
+        q.constrain([[lo, hi]]);
+
+        // x = q * y + r where |r| < |y|.
+        ym = Math.max(-y.min(), y.max());
+        x.constrain(simplify_domain(dom_clamp(dom_times([[q.min(), q.max()]], [[y.min(), y.max()]]).map(function (i) {
+            return [i[0] - ym + 1, i[1] + ym - 1];
+        }))));
+
+        // |y| <= |x| / |q| when q can't be 0 and |y| > |x| when q is 0.
+        xm = Math.max(-x.min(), x.max());
+        if (q.min() > 0 || q.max() < 0) {
+            qm = Math.min(Math.abs(q.min()), Math.abs(q.max()));
+            y.constrain([[-idiv_floor(xm, qm), idiv_floor(xm, qm)]]);
+        } else if (q.min() === 0 && q.max() === 0 && (x.min() > 0 || x.max() < 0)) {
+            xm = Math.min(Math.abs(x.min()), Math.abs(x.max()));
+            y.constrain(domain_complement([[-xm, xm]]));
+        }
+    }
+
+    function mod_prune(x, y, r) {
+        var ym, rm;
+
+        y.constrain(domain_complement([[0, 0]]));
+
+        if (enumerate_prune(x, y, r, function (u, v) { return v === 0 ? null : u - v * idiv_trunc(u, v); })) {
+            return;
+        }
+
+        // The remainder is smaller than the divisor and
+        // no further from 0 than x, on the same side.
+        ym = Math.max(-y.min(), y.max());
+        r.constrain([[Math.max(-ym + 1, Math.min(0, x.min())), Math.min(ym - 1, Math.max(0, x.max()))]]);
+
+        if (r.min() > 0) {
+            x.constrain([[r.min(), FD_SUP]]);
+        } else if (r.max() < 0) {
+            x.constrain([[FD_INF, r.max()]]);
+        }
+
+        if (r.min() > 0 || r.max() < 0) {
+            rm = Math.min(Math.abs(r.min()), Math.abs(r.max()));
+            y.constrain(domain_complement([[-rm, rm]]));
+        }
+    }
+
+    // The values v ^ k for v in d, as the hull of each interval's image.
+    // `even` tells whether the power is an even function.
+    function dom_pow(d, k, even) {
+        var i, len, lo, hi, p = [];
+        for (i = 0, len = d.length; i < len; ++i) {
+            lo = d[i][0];
+            hi = d[i][1];
+            if (hi >= 0) {
+                p.push([Math.pow(Math.max(lo, 0), k), Math.pow(hi, k)]);
+            }
+            if (lo < 0) {
+                hi = Math.min(hi, -1);
+                p.push(even ? [Math.pow(-hi, k), Math.pow(-lo, k)] : [Math.pow(lo, k), Math.pow(hi, k)]);
+            }
+        }
+
+        return simplify_domain(dom_clamp(p));
+    }
+
+    // The values v for which v ^ k is in d.
+    // `even` tells whether the power is an even function.
+    function dom_root(d, k, even) {
+        var i, len, lo, hi, p = [];
+        for (i = 0, len = d.length; i < len; ++i) {
+            if (d[i][1] >= 0) {
+                lo = iroot_ceil(Math.max(d[i][0], 0), k);
+                hi = iroot_floor(d[i][1], k);
+                if (lo <= hi) {
+                    p.push([lo, hi]);
+                    if (even) {
+                        p.push([-hi, -lo]);
+                    }
+                }
+            }
+            if (d[i][0] < 0 && !even) {
+                lo = -iroot_floor(-d[i][0], k);
+                hi = -iroot_ceil(-Math.min(d[i][1], -1), k);
+                if (lo <= hi) {
+                    p.push([lo, hi]);
+                }
+            }
+        }
+
+        return simplify_domain(p);
+    }
+
+    // Largest x >= 0 such that x ^ k <= v, for v >= 0.
+    function iroot_floor(v, k) {
+        var x = Math.floor(Math.pow(v, 1 / k));
+        while (Math.pow(x + 1, k) <= v) {
+            ++x;
+        }
+        while (x > 0 && Math.pow(x, k) > v) {
+            --x;
+        }
+        return x;
+    }
+
+    // Smallest x >= 0 such that x ^ k >= v, for v >= 0.
+    function iroot_ceil(v, k) {
+        var x = iroot_floor(v, k);
+        return Math.pow(x, k) === v ? x : x + 1;
+    }
+
+    // The result is the minimum (dir = 1) or maximum (dir = -1)
+    // of the xs. The maximum is handled by working with the negated
+    // bounds so that the same reasoning applies.
+    function extremum_prune(xs, r, dir) {
+        var best = FD_SUP, limit = FD_SUP, support = [], candidates = [];
+        var i, lo, hi, rlo, rhi;
+
+        function lower(v) { return dir > 0 ? v.min() : -v.max(); }
+        function upper(v) { return dir > 0 ? v.max() : -v.min(); }
+
+        // The result lies between the smallest lower bound and the
+        // smallest upper bound, and takes a value of one of the xs.
+        for (i = 0; i < xs.length; ++i) {
+            best = Math.min(best, lower(xs[i]));
+            limit = Math.min(limit, upper(xs[i]));
+            support.push.apply(support, xs[i].dom.map(function (iv) { return [iv[0], iv[1]]; }));
+        }
+
+        lo = dir > 0 ? best : -limit;
+        hi = dir > 0 ? limit : -best;
+        r.set_dom(domain_non_empty(domain_intersection(r.dom, domain_intersection(simplify_domain(support), [[lo, hi]]))));
+
+        // None of the xs can go beyond the result and only
+        // those that can reach the result can be the one.
+        rlo = lower(r);
+        rhi = upper(r);
+        for (i = 0; i < xs.length; ++i) {
+            xs[i].constrain(dir > 0 ? [[rlo, FD_SUP]] : [[FD_INF, -rlo]]);
+            if (lower(xs[i]) <= rhi) {
+                candidates.push(xs[i]);
+            }
+        }
+
+        if (candidates.length === 1) {
+            candidates[0].constrain(r.dom);
+            r.constrain(candidates[0].dom);
+        }
+    }
+
+    // Element constraint - `arr[index] = result`.
+    //
+    // `arr` is an array whose entries are either constant numbers
+    // or names of declared fdvars. Each constant gets a konst of its
+    // own. The index is 0-based.
+    //
+    // Both the index and the result are pruned, and once the index
+    // is fixed, the chosen entry is made equal to the result. If
+    // `resultname` is omitted, a temporary is created for the result
+    // and its name is returned ("functional notation").
+    Space.prototype.element = function (indexname, arr, resultname) {
+        var S = this, retval = this;
+        var allvars;
+
+        if (!resultname) {
+            resultname = this.temp();
+            retval = resultname;
+        }
+
+        allvars = [known_fdvar(this, indexname, 'element'), known_fdvar(this, resultname, 'element')];
+        arr.forEach(function (x) {
+            allvars.push(typeof(x) === 'number' ? S.konst(x) : known_fdvar(S, x, 'element'));
+        });
+
+        this.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        element_prune(vs[0], vs[1], vs.slice(2));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+
+        return retval;
+    };
+
+    // Removes the indices whose entries can't equal the result, narrows
+    // the result to the union of the remaining entries and, if the
+    // index is fixed, makes the chosen entry equal to the result.
+    function element_prune(index, result, items) {
+        var idx, keep = [], support = [];
+        var i, j, d;
+
+        index.constrain([[0, items.length - 1]]);
+        idx = domain_values(index.dom);
+
+        for (j = 0; j < idx.length; ++j) {
+            i = idx[j];
+            d = domain_intersection(items[i].dom, result.dom);
+            if (d.length > 0) {
+                keep.push(i);
+                support.push.apply(support, d);
+            }
+        }
+
+        index.set_dom(domain_non_empty(domain_from_values(keep)));
+        result.set_dom(domain_non_empty(domain_intersection(result.dom, simplify_domain(support))));
+
+        if (keep.length === 1) {
+            d = domain_non_empty(domain_intersection(items[keep[0]].dom, result.dom));
+            items[keep[0]].set_dom(d);
+            result.set_dom(d);
+        }
+    }
+
+    // Inverse constraint - `xs[i] = j` exactly when `ys[j] = i`, which
+    // links the two "viewpoints" of an assignment, such as which slot
+    // each person gets and which person each slot gets. Both arrays hold
+    // fdvar names and must be of the same length N, and the values
+    // are 0-based indices into the other array, so that both end up
+    // being permutations of 0 .. N-1.
+    //
+    // The support of every value is checked against the other side,
+    // and a domain consistent `distinct` is added for xs.
+    Space.prototype.inverse = function (xs, ys) {
+        var N = xs.length;
+
+        if (ys.length !== N) {
+            throw "FD.space.inverse: Arrays must be of the same length";
+        }
+
+        this.distinct(xs, 'domain');
+
+        return this.newprop({
+            allvars: xs.concat(ys),
+            depvars: xs.concat(ys),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        inverse_prune(vs.slice(0, N), vs.slice(N));
+                        inverse_prune(vs.slice(N), vs.slice(0, N));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    // Keeps j in xs[i] only if i is in ys[j].
+    function inverse_prune(xs, ys) {
+        var N = xs.length;
+        var i;
+
+        for (i = 0; i < N; ++i) {
+            xs[i].constrain([[0, N - 1]]);
+            xs[i].set_dom(domain_non_empty(domain_from_values(domain_values(xs[i].dom).filter(function (j) {
+                return domain_contains(ys[j].dom, i);
+            }))));
+            if (!xs[i].is_undetermined()) {
+                ys[xs[i].min()].constrain([[i, i]]);
+            }
+        }
+    }
+
+    // Channels the 0/1 fdvars in `bools` with the fdvar `vname` so that
+    // `bools[k]` is 1 exactly when the value of v is k. v is kept within
+    // 0 .. bools.length - 1. This is domain consistent.
+    Space.prototype.channel_bool = function (bools, vname) {
+        var N = bools.length;
+
+        return this.newprop({
+            allvars: [vname].concat(bools),
+            depvars: [vname].concat(bools),
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        channel_bool_prune(vs[0], vs.slice(1));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    function channel_bool_prune(x, bs) {
+        var N = bs.length, allowed = [];
+        var k;
+
+        for (k = 0; k < N; ++k) {
+            bs[k].constrain([[0, 1]]);
+            if (bs[k].min() === 1) {
+                x.constrain([[k, k]]);
+            }
+            if (bs[k].max() === 1) {
+                allowed.push(k);
+            }
+        }
+
+        x.constrain(domain_from_values(allowed));
+
+        for (k = 0; k < N; ++k) {
+            if (!domain_contains(x.dom, k)) {
+                bs[k].constrain([[0, 0]]);
+            } else if (!x.is_undetermined()) {
+                bs[k].constrain([[1, 1]]);
+            }
+        }
+    }
+
+    // Extensional constraint - the values of the given fdvars, taken
+    // in order, must form one of the given tuples. For example,
+    //
+    //      S.table(['Color', 'Size'], [[0, 1], [0, 2], [1, 2]]);
+    //
+    // Propagation is to generalized arc consistency. The tuples are
+    // kept as bitsets (32 tuples to a word) in the "compact table" style
+    // so that finding the tuples that are still valid is a matter of
+    // or-ing and and-ing a few words per value.
+    Space.prototype.table = function (varnames, tuples) {
+        return table_propagator(this, varnames, tuples, table_prune);
+    };
+
+    // Negative extensional constraint - the values of the given fdvars,
+    // taken in order, must *not* form any of the given tuples.
+    Space.prototype.table_not = function (varnames, tuples) {
+        return table_propagator(this, varnames, tuples, table_not_prune);
+    };
+
+    function table_propagator(S, varnames, tuples, prune) {
+        var T = table_compile(varnames.length, tuples);
+
+        return S.newprop({
+            allvars: varnames.slice(0),
+            depvars: varnames.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        prune(vs, T);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    }
+
+    // Prepares the tuples for the table propagators. Duplicate
+    // tuples are dropped. For the i-th variable, T.values[i] lists
+    // the values it takes in the tuples in increasing order and
+    // T.supports[i][v] is the bitset of tuples whose i-th entry is v.
+    function table_compile(N, tuples) {
+        var seen = {}, unique = [], values = [], supports = [];
+        var i, j, k, t, bits;
+
+        for (j = 0; j < tuples.length; ++j) {
+            if (tuples[j].length !== N) {
+                throw "FD.space.table: Tuple " + JSON.stringify(tuples[j]) + " doesn't have " + N + " entries";
+            }
+            k = tuples[j].join(',');
+            if (!seen.hasOwnProperty(k)) {
+                seen[k] = true;
+                unique.push(tuples[j]);
+            }
+        }
+
+        for (i = 0; i < N; ++i) {
+            values.push([]);
+            supports.push({});
+            for (j = 0; j < unique.length; ++j) {
+                t = unique[j][i];
+                bits = supports[i][t];
+                if (!bits) {
+                    bits = supports[i][t] = bitset_make(unique.length, 0);
+                    values[i].push(t);
+                }
+                bits[j >> 5] |= (1 << (j & 31));
+            }
+            values[i].sort(function (a, b) { return a - b; });
+        }
+
+        return {length: unique.length, values: values, supports: supports};
+    }
+
+    // A bitset of N bits, all set to the given bit value.
+    function bitset_make(N, bit) {
+        var i, W = (N + 31) >> 5, bits = [];
+        for (i = 0; i < W; ++i) {
+            bits.push(bit ? -1 : 0);
+        }
+        if (bit && (N & 31)) {
+            bits[W - 1] = (1 << (N & 31)) - 1;
+        }
+        return bits;
+    }
+
+    function bitset_is_empty(bits) {
+        var i;
+        for (i = 0; i < bits.length; ++i) {
+            if (bits[i] !== 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function bitset_intersects(b1, b2) {
+        var i;
+        for (i = 0; i < b1.length; ++i) {
+            if ((b1[i] & b2[i]) !== 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Number of bits set in b1 AND b2.
+    function bitset_count_common(b1, b2) {
+        var i, w, count = 0;
+        for (i = 0; i < b1.length; ++i) {
+            for (w = b1[i] & b2[i]; w !== 0; w &= w - 1) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // The bitset of the tuples of T all of whose entries
+    // are still in the domains of the corresponding fdvars.
+    function table_valid_tuples(vs, T) {
+        var current = bitset_make(T.length, 1);
+        var i, j, k, v, acc;
+
+        for (i = 0; i < vs.length; ++i) {
+            acc = bitset_make(T.length, 0);
+            for (j = 0; j < T.values[i].length; ++j) {
+                v = T.values[i][j];
+                if (domain_contains(vs[i].dom, v)) {
+                    for (k = 0; k < acc.length; ++k) {
+                        acc[k] |= T.supports[i][v][k];
+                    }
+                }
+            }
+            for (k = 0; k < acc.length; ++k) {
+                current[k] &= acc[k];
+            }
+        }
+
+        return current;
+    }
+
+    // Keeps only the values that appear in some valid tuple.
+    function table_prune(vs, T) {
+        var current = table_valid_tuples(vs, T);
+        var i, j, v, kept;
+
+        if (bitset_is_empty(current)) {
+            throw 'fail';
+        }
+
+        for (i = 0; i < vs.length; ++i) {
+            kept = [];
+            for (j = 0; j < T.values[i].length; ++j) {
+                v = T.values[i][j];
+                if (domain_contains(vs[i].dom, v) && bitset_intersects(T.supports[i][v], current)) {
+                    kept.push(v);
+                }
+            }
+            vs[i].set_dom(domain_non_empty(domain_from_values(kept)));
+        }
+    }
+
+    // A value v of the i-th variable has no support when every
+    // combination of values of the other variables together with v
+    // is a forbidden tuple. So we compare the number of valid forbidden
+    // tuples having v with the number of such combinations.
+    function table_not_prune(vs, T) {
+        var current = table_valid_tuples(vs, T);
+        var sizes = vs.map(function (v) { return v.size(); });
+        var i, j, v, others, removed;
+
+        for (i = 0; i < vs.length; ++i) {
+            for (j = 0, others = 1; j < vs.length; ++j) {
+                if (j !== i) {
+                    others *= sizes[j];
+                }
+            }
+
+            if (others > T.length) {
+                // Not enough forbidden tuples to rule out any value.
+                continue;
+            }
+
+            removed = [];
+            for (j = 0; j < T.values[i].length; ++j) {
+                v = T.values[i][j];
+                if (domain_contains(vs[i].dom, v) && bitset_count_common(T.supports[i][v], current) >= others) {
+                    removed.push(v);
+                }
+            }
+
+            if (removed.length > 0) {
+                vs[i].constrain(domain_complement(domain_from_values(removed)));
+            }
+        }
+    }
+
+    // Turns a constant number into the name of a constant fdvar.
+    // fdvar names given as strings, which include the names of
+    // temps and konsts, are passed through as is.
+    function name_or_konst(S, x) {
+        return typeof(x) === 'number' ? S.konst(x) : x;
+    }
+
+    // Cumulative resource constraint. Task i starts at starts[i], runs
+    // for durations[i] time steps and uses demands[i] units of a resource
+    // of which there are only `capacity` units at any time. `starts` must
+    // be fdvar names. The durations, demands and the capacity can be either
+    // constant numbers or fdvar names given as strings.
+    //
+    // Filtering is done by "time tabling" - the parts of tasks that have
+    // to run no matter where they start within their current bounds make
+    // up a resource profile, and other tasks are pushed away from where
+    // they'd overflow it. An energetic "overload check" also fails the
+    // space when the tasks that must run within a time window need more
+    // of the resource than the window has.
+    Space.prototype.cumulative = function (starts, durations, demands, capacity) {
+        var S = this, N = starts.length;
+        var durs = durations.map(function (d) { return name_or_konst(S, d); });
+        var dems = demands.map(function (d) { return name_or_konst(S, d); });
+        var allvars = starts.concat(durs, dems, [name_or_konst(S, capacity)]);
+
+        if (durs.length !== N || dems.length !== N) {
+            throw "FD.space.cumulative: Need as many durations and demands as there are starts";
+        }
+
+        return this.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        cumulative_prune(vs.slice(0, N), vs.slice(N, 2 * N), vs.slice(2 * N, 3 * N), vs[3 * N]);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    // Builds the resource usage profile of the given compulsory parts,
+    // leaving out the one at index `skip`. Each part is either null or
+    // [from, to, height] and covers the time steps from <= t < to. The
+    // profile is a sequence of disjoint [from, to, height] segments in
+    // increasing order of time, with height > 0.
+    function cumulative_profile(parts, skip) {
+        var events = [], segs = [];
+        var i, h = 0, last;
+
+        for (i = 0; i < parts.length; ++i) {
+            if (i !== skip && parts[i]) {
+                events.push([parts[i][0], parts[i][2]], [parts[i][1], -parts[i][2]]);
+            }
+        }
+
+        events.sort(function (e1, e2) { return e1[0] - e2[0]; });
+
+        for (i = 0; i < events.length; ++i) {
+            if (h > 0 && events[i][0] > last) {
+                segs.push([last, events[i][0], h]);
+            }
+            h += events[i][1];
+            last = events[i][0];
+        }
+
+        return segs;
+    }
+
+    function cumulative_prune(starts, durs, dems, cap) {
+        var N = starts.length, parts = [], tasks = [];
+        var i, j, k, est, lst, d, r, segs, capmax, peak, energy;
+
+        for (i = 0; i < N; ++i) {
+            est = starts[i].min();
+            lst = starts[i].max();
+            d = durs[i].min();
+            r = dems[i].min();
+            parts.push((lst < est + d && r > 0) ? [lst, est + d, r] : null);
+            tasks.push({est: est, lct: lst + d, energy: d * r});
+        }
+
+        segs = cumulative_profile(parts, -1);
+        for (i = 0, peak = 0; i < segs.length; ++i) {
+            peak = Math.max(peak, segs[i][2]);
+        }
+        cap.constrain([[peak, FD_SUP]]);
+        capmax = cap.max();
+
+        // Overload check. For each window starting at some task's earliest
+        // start, add up the energies of the tasks that must run within the
+        // window in order of their latest completion times.
+        tasks.sort(function (t1, t2) { return t1.lct - t2.lct; });
+        for (i = 0; i < N; ++i) {
+            est = tasks[i].est;
+            for (j = 0, energy = 0; j < N; ++j) {
+                if (tasks[j].est >= est) {
+                    energy += tasks[j].energy;
+                    if (energy > capmax * (tasks[j].lct - est)) {
+                        throw 'fail';
+                    }
+                }
+            }
+        }
+
+        for (i = 0; i < N; ++i) {
+            d = durs[i].min();
+            r = dems[i].min();
+            if (d <= 0 || r <= 0) {
+                continue;
+            }
+
+            dems[i].constrain([[FD_INF, capmax]]);
+            segs = cumulative_profile(parts, i);
+
+            // Push the start forward past overflowing segments.
+            est = starts[i].min();
+            for (k = 0; k < segs.length && segs[k][0] < est + d; ++k) {
+                if (segs[k][1] > est && segs[k][2] + r > capmax) {
+                    est = segs[k][1];
+                }
+            }
+
+            // Pull the start back from overflowing segments.
+            lst = starts[i].max();
+            for (k = segs.length - 1; k >= 0 && segs[k][1] > lst; --k) {
+                if (segs[k][0] < lst + d && segs[k][2] + r > capmax) {
+                    lst = segs[k][0] - d;
+                }
+            }
+
+            starts[i].constrain([[est, lst]]);
+        }
+    }
+
+    // Disjunctive (unary resource) constraint. Task i starts at starts[i]
+    // and runs for durations[i] time steps, and no two tasks may overlap
+    // in time, as though they were all to be run on a single machine.
+    // `starts` must be fdvar names and the durations can be either
+    // constant numbers or fdvar names given as strings.
+    //
+    // Filtering uses overload checking, edge finding and the not-first and
+    // not-last rules, each applied in both directions of time.
+    Space.prototype.no_overlap = function (starts, durations) {
+        var S = this, N = starts.length;
+        var durs = durations.map(function (d) { return name_or_konst(S, d); });
+        var allvars = starts.concat(durs);
+
+        if (durs.length !== N) {
+            throw "FD.space.no_overlap: Need as many durations as there are starts";
+        }
+
+        return this.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        unary_prune(vs.slice(0, N), vs.slice(N));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    function unary_prune(starts, durs) {
+        var tasks = [], mirror = [], index = [];
+        var i, p, est, lct;
+
+        // Tasks that may take no time at all don't need the machine.
+        for (i = 0; i < starts.length; ++i) {
+            p = durs[i].min();
+            if (p > 0) {
+                tasks.push({est: starts[i].min(), lct: starts[i].max() + p, p: p});
+                mirror.push({est: -(starts[i].max() + p), lct: -starts[i].min(), p: p});
+                index.push(i);
+            }
+        }
+
+        // Running the est rules on the mirror image of the tasks in
+        // time gives us the corresponding lct rules.
+        est = unary_edge_finding(tasks);
+        lct = unary_edge_finding(mirror);
+        for (i = 0; i < tasks.length; ++i) {
+            tasks[i].est = est[i];
+            tasks[i].lct = -lct[i];
+            mirror[i].est = lct[i];
+            mirror[i].lct = -est[i];
+        }
+
+        lct = unary_not_last(tasks);
+        est = unary_not_last(mirror);
+        for (i = 0; i < tasks.length; ++i) {
+            starts[index[i]].constrain([[Math.max(tasks[i].est, -est[i]), Math.min(tasks[i].lct, lct[i]) - tasks[i].p]]);
+        }
+    }
+
+    // Earliest completion time of a set of tasks on a unary resource.
+    // This is the largest est(O) + p(O) over the subsets O made of the
+    // tasks starting no earlier than some time a.
+    function unary_ect(omega) {
+        var i, P = 0, ect = FD_INF;
+        omega = omega.slice(0).sort(function (t1, t2) { return t2.est - t1.est; });
+        for (i = 0; i < omega.length; ++i) {
+            P += omega[i].p;
+            ect = Math.max(ect, omega[i].est + P);
+        }
+        return ect;
+    }
+
+    // Overload checking and edge finding. If task i can't complete
+    // before the tasks in a set O that must all finish by time b, then
+    // it has to come after all of them and can't start before ECT(O).
+    // Returns the updated earliest start times of the tasks.
+    function unary_edge_finding(tasks) {
+        var N = tasks.length, result = [];
+        var i, j, k, b, omega, P, best;
+
+        for (i = 0; i < N; ++i) {
+            result.push(tasks[i].est);
+        }
+
+        for (j = 0; j < N; ++j) {
+            b = tasks[j].lct;
+            omega = tasks.filter(function (t) { return t.lct <= b; });
+            if (unary_ect(omega) > b) {
+                throw 'fail';
+            }
+
+            for (i = 0; i < N; ++i) {
+                if (tasks[i].lct <= b) {
+                    continue;
+                }
+
+                // Sweep O = tasks in omega starting no earlier than a, in
+                // decreasing order of a.
+                omega.sort(function (t1, t2) { return t2.est - t1.est; });
+                for (k = 0, P = 0, best = FD_INF; k < omega.length; ++k) {
+                    P += omega[k].p;
+                    best = Math.max(best, omega[k].est + P);
+                    if (Math.min(omega[k].est, tasks[i].est) + P + tasks[i].p > b) {
+                        result[i] = Math.max(result[i], best);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // The not-last rule. If the tasks in a set O can't all be completed
+    // before the latest start time of task i, then i can't be the last
+    // of them and has to end before the latest start of one of the tasks
+    // in O. Returns the updated latest completion times of the tasks.
+    function unary_not_last(tasks) {
+        var N = tasks.length, result = [];
+        var order = tasks.slice(0).sort(function (t1, t2) { return (t1.lct - t1.p) - (t2.lct - t2.p); });
+        var i, k, lst, omega;
+
+        for (i = 0; i < N; ++i) {
+            result.push(tasks[i].lct);
+            lst = tasks[i].lct - tasks[i].p;
+            omega = [];
+
+            // For a given bound on the latest starts, the largest set O
+            // has the largest ECT, so we only need to look at prefixes
+            // of the tasks in order of latest start.
+            for (k = 0; k < N; ++k) {
+                if (order[k] === tasks[i]) {
+                    continue;
+                }
+                omega.push(order[k]);
+                if (unary_ect(omega) > lst) {
+                    result[i] = Math.min(result[i], order[k].lct - order[k].p);
+                    break;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Two dimensional non-overlap constraint. Rectangle i has its lower
+    // left corner at (xs[i], ys[i]) and is widths[i] wide and heights[i]
+    // high, and no two rectangles may overlap. `xs` and `ys` must be
+    // fdvar names. The widths and heights can be either constant numbers
+    // or fdvar names given as strings. Rectangles whose width or height
+    // can be 0 are left out.
+    //
+    // Pruning is done with the "sweep" algorithm. The compulsory part of
+    // each other rectangle - the area it covers wherever it is placed -
+    // rules out a box of positions for the corner of a rectangle. The
+    // bounds of each coordinate are then moved in along that coordinate
+    // to the first position at which some value of the other coordinate
+    // isn't ruled out by any box.
+    Space.prototype.diffn = function (xs, ys, widths, heights) {
+        var S = this, N = xs.length;
+        var ws = widths.map(function (w) { return name_or_konst(S, w); });
+        var hs = heights.map(function (h) { return name_or_konst(S, h); });
+        var allvars = xs.concat(ys, ws, hs);
+
+        if (ys.length !== N || ws.length !== N || hs.length !== N) {
+            throw "FD.space.diffn: Need as many ys, widths and heights as there are xs";
+        }
+
+        return this.newprop({
+            allvars: allvars,
+            depvars: allvars.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        diffn_prune(vs.slice(0, N), vs.slice(N, 2 * N), vs.slice(2 * N, 3 * N), vs.slice(3 * N));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    function diffn_prune(xs, ys, ws, hs) {
+        var N = xs.length, rects = [];
+        var i, d, o, lo, hi, boxes;
+
+        for (i = 0; i < N; ++i) {
+            rects.push({o: [xs[i], ys[i]], l: [ws[i].min(), hs[i].min()]});
+        }
+
+        for (i = 0; i < N; ++i) {
+            if (rects[i].l[0] <= 0 || rects[i].l[1] <= 0) {
+                continue;
+            }
+
+            boxes = diffn_forbidden(rects, i);
+            for (d = 0; d < 2; ++d) {
+                o = rects[i].o[d];
+                lo = diffn_sweep(o.min(), o.max(), 1, boxes, d, rects[i].o[1 - d].dom);
+                hi = diffn_sweep(o.max(), lo, -1, boxes, d, rects[i].o[1 - d].dom);
+                o.constrain([[lo, hi]]);
+            }
+        }
+    }
+
+    // The boxes of positions of the corner of rectangle i that would
+    // overlap the compulsory part of another rectangle. Each box is a
+    // pair of [from, to] ranges, one for each dimension.
+    function diffn_forbidden(rects, i) {
+        var boxes = [];
+        var j, d, box, ok;
+
+        for (j = 0; j < rects.length; ++j) {
+            if (j === i || rects[j].l[0] <= 0 || rects[j].l[1] <= 0) {
+                continue;
+            }
+
+            box = [];
+            ok = true;
+            for (d = 0; d < 2; ++d) {
+                box.push([rects[j].o[d].max() - rects[i].l[d] + 1, rects[j].o[d].min() + rects[j].l[d] - 1]);
+                ok = ok && box[d][0] <= box[d][1];
+            }
+
+            if (ok) {
+                boxes.push(box);
+            }
+        }
+
+        return boxes;
+    }
+
+    // Sweeps dimension d from `start` towards `limit` in the direction
+    // `dir` and returns the first position at which some value of the
+    // other dimension's domain `other` lies outside all the boxes.
+    // From a position that is ruled out, it is safe to jump past the
+    // nearest end of the boxes that rule it out.
+    function diffn_sweep(start, limit, dir, boxes, d, other) {
+        var x = start;
+        var k, covering, cover;
+
+        while (dir > 0 ? x <= limit : x >= limit) {
+            covering = boxes.filter(function (b) { return b[d][0] <= x && x <= b[d][1]; });
+            cover = simplify_domain(covering.map(function (b) { return [b[1 - d][0], b[1 - d][1]]; }));
+
+            if (domain_intersection(other, domain_complement(cover)).length > 0) {
+                return x;
+            }
+
+            for (k = 0, x = dir > 0 ? FD_SUP : FD_INF; k < covering.length; ++k) {
+                x = dir > 0 ? Math.min(x, covering[k][d][1] + 1) : Math.max(x, covering[k][d][0] - 1);
+            }
+        }
+
+        throw 'fail';
+    }
+
+    // Bin packing constraint. Item i, of constant size sizes[i], goes
+    // into bin binOf[i], where the bins are numbered from 0, and the
+    // sizes of the items in bin b add up to loads[b]. `binOf` must be
+    // fdvar names and each load is either a constant number or an fdvar
+    // name given as a string. A bin's capacity is the upper bound of the
+    // domain of its load.
+    //
+    // Each load lies between the sizes of the items that are known to be
+    // in the bin and those that may go into it, and the loads together
+    // add up to the total size. An item is kept out of a bin it would
+    // overflow and is put into a bin that can't reach its load without
+    // it. As for cardinality, the "big" items that are more than half the
+    // largest load can't share a bin, so there must be at least as many
+    // bins open to them as there are such items.
+    Space.prototype.bin_packing = function (binOf, sizes, loads) {
+        var S = this, N = binOf.length;
+        var ls = loads.map(function (l) { return name_or_konst(S, l); });
+
+        if (sizes.length !== N) {
+            throw "FD.space.bin_packing: Need as many sizes as there are items";
+        }
+
+        return this.newprop({
+            allvars: binOf.concat(ls),
+            depvars: binOf.concat(ls),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        bin_packing_prune(vs.slice(0, N), sizes, vs.slice(N));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    function bin_packing_prune(xs, sizes, ls) {
+        var N = xs.length, B = ls.length;
+        var required = [], possible = [], total = 0, summin = 0, summax = 0;
+        var maxload = 0, big = 0, open = {}, nopen = 0;
+        var i, b, s, bins;
+
+        for (b = 0; b < B; ++b) {
+            required.push(0);
+            possible.push(0);
+        }
+
+        for (i = 0; i < N; ++i) {
+            xs[i].constrain([[0, B - 1]]);
+            s = sizes[i];
+            total += s;
+            bins = domain_values(xs[i].dom);
+            if (bins.length === 1) {
+                required[bins[0]] += s;
+            }
+            for (b = 0; b < bins.length; ++b) {
+                possible[bins[b]] += s;
+            }
+        }
+
+        for (b = 0; b < B; ++b) {
+            ls[b].constrain([[required[b], possible[b]]]);
+            summin += ls[b].min();
+            summax += ls[b].max();
+        }
+
+        if (summin > total || summax < total) {
+            throw 'fail';
+        }
+
+        for (b = 0; b < B; ++b) {
+            ls[b].constrain([[total - (summax - ls[b].max()), total - (summin - ls[b].min())]]);
+            maxload = Math.max(maxload, ls[b].max());
+        }
+
+        for (i = 0; i < N; ++i) {
+            if (!xs[i].is_undetermined()) {
+                continue;
+            }
+
+            s = sizes[i];
+            bins = domain_values(xs[i].dom).filter(function (b) {
+                return required[b] + s <= ls[b].max();
+            });
+            xs[i].set_dom(domain_non_empty(domain_from_values(bins)));
+
+            for (b = 0; b < bins.length; ++b) {
+                if (possible[bins[b]] - s < ls[bins[b]].min()) {
+                    xs[i].constrain([[bins[b], bins[b]]]);
+                }
+            }
+        }
+
+        for (i = 0; i < N; ++i) {
+            if (2 * sizes[i] > maxload) {
+                ++big;
+                bins = domain_values(xs[i].dom);
+                for (b = 0; b < bins.length; ++b) {
+                    if (!open[bins[b]]) {
+                        open[bins[b]] = true;
+                        ++nopen;
+                    }
+                }
+            }
+        }
+
+        if (big > nopen) {
+            throw 'fail';
+        }
+    }
+
+    // Asserts that `countname` is the number of the given fdvars that
+    // take on the constant `value`. If `countname` is omitted, a temporary
+    // is created for the count and its name is returned.
+    Space.prototype.count = function (vars, value, countname) {
+        return this.among(vars, [[value, value]], countname);
+    };
+
+    // Asserts that `countname` is the number of the given fdvars whose
+    // values lie in the domain `dom`, given in the same form as for `decl`.
+    // If `countname` is omitted, a temporary is created for the count
+    // and its name is returned.
+    Space.prototype.among = function (vars, dom, countname) {
+        var retval = this;
+        var V = simplify_domain(dom.map(function (i) { return [i[0], i[1]]; }));
+
+        if (!countname) {
+            countname = this.temp();
+            retval = countname;
+        }
+
+        this.newprop({
+            allvars: vars.concat([countname]),
+            depvars: vars.concat([countname]),
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        among_prune(vs.slice(0, -1), V, vs[vs.length - 1]);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+
+        return retval;
+    };
+
+    // Global cardinality constraint. `cards` is an object whose keys are
+    // values and whose entries give the number of the fdvars that may take
+    // on that value, either as a [min, max] range or as the name of an
+    // fdvar holding the count. For example -
+    //
+    //      S.gcc(shifts, {0: [2, 2], 2: 'Nights'});
+    //
+    // Values not mentioned in `cards` are not restricted.
+    Space.prototype.gcc = function (vars, cards) {
+        var vals = [], cnts = [];
+        var v;
+
+        for (v in cards) {
+            vals.push(+v);
+            cnts.push(typeof(cards[v]) === 'object' ? this.temp([[cards[v][0], cards[v][1]]]) : cards[v]);
+        }
+
+        return this.newprop({
+            allvars: vars.concat(cnts),
+            depvars: vars.concat(cnts),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var N = vs.length - cnts.length;
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        gcc_prune(vs.slice(0, N), vals, vs.slice(N));
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    // The count N of the fdvars xs that take values in V is at least the
+    // number of those that have to and at most the number of those that
+    // can. When N is down to the former, the rest can't take values in V
+    // and when it is up to the latter, all those that can must.
+    function among_prune(xs, V, N) {
+        var maybe = [], lb = 0, ub = 0;
+        var i, n;
+
+        for (i = 0; i < xs.length; ++i) {
+            n = domain_size(domain_intersection(xs[i].dom, V));
+            if (n > 0) {
+                ub++;
+                if (n === xs[i].size()) {
+                    lb++;
+                } else {
+                    maybe.push(xs[i]);
+                }
+            }
+        }
+
+        N.constrain([[lb, ub]]);
+
+        if (maybe.length > 0) {
+            if (N.max() === lb) {
+                for (i = 0; i < maybe.length; ++i) {
+                    maybe[i].constrain(domain_complement(V));
+                }
+            } else if (N.min() === ub) {
+                for (i = 0; i < maybe.length; ++i) {
+                    maybe[i].constrain(V);
+                }
+            }
+        }
+    }
+
+    // Each value's count is handled like `count`. In addition, the
+    // counts of different values can't add up to more than the number
+    // of fdvars.
+    function gcc_prune(xs, vals, cnts) {
+        var k, summin = 0;
+
+        for (k = 0; k < vals.length; ++k) {
+            among_prune(xs, [[vals[k], vals[k]]], cnts[k]);
+            summin += cnts[k].min();
+        }
+
+        if (summin > xs.length) {
+            throw 'fail';
+        }
+
+        for (k = 0; k < vals.length; ++k) {
+            cnts[k].constrain([[FD_INF, xs.length - (summin - cnts[k].min())]]);
+        }
+    }
+
+    // Regular constraint - the sequence of values taken by the given
+    // fdvars must be a word accepted by the deterministic finite automaton
+    // `dfa`, which is an object of the form -
+    //
+    //      {
+    //          start: <state>,
+    //          accepting: [<state>, ...],
+    //          transitions: [[<from-state>, <value>, <to-state>], ...]
+    //      }
+    //
+    // States can be numbers or strings. Missing transitions go to an
+    // implicit failing state. Propagation unrolls the automaton into a
+    // layered graph, one layer per fdvar, and keeps only the values on
+    // edges that lie on some path from the start state to an accepting
+    // state. This is domain consistent.
+    Space.prototype.regular = function (vars, dfa) {
+        var delta = {}, accepting = {};
+        var i, t;
+
+        for (i = 0; i < dfa.transitions.length; ++i) {
+            t = dfa.transitions[i];
+            (delta[t[0]] || (delta[t[0]] = [])).push([t[1], t[2]]);
+        }
+
+        for (i = 0; i < dfa.accepting.length; ++i) {
+            accepting[dfa.accepting[i]] = true;
+        }
+
+        return this.newprop({
+            allvars: vars.slice(0),
+            depvars: vars.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        regular_prune(vs, dfa.start, delta, accepting);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    };
+
+    function regular_prune(vs, start, delta, accepting) {
+        var N = vs.length, layers = [{}];
+        var i, q, k, e, next, alive, kept;
+
+        layers[0][start] = true;
+
+        // Forward pass - the states reachable at each layer.
+        for (i = 0; i < N; ++i) {
+            next = {};
+            for (q in layers[i]) {
+                e = delta[q] || [];
+                for (k = 0; k < e.length; ++k) {
+                    if (domain_contains(vs[i].dom, e[k][0])) {
+                        next[e[k][1]] = true;
+                    }
+                }
+            }
+            layers.push(next);
+        }
+
+        // Backward pass - keep the states from which an accepting state
+        // can still be reached, along with the values that get us there.
+        alive = {};
+        for (q in layers[N]) {
+            if (accepting[q]) {
+                alive[q] = true;
+            }
+        }
+
+        for (i = N - 1; i >= 0; --i) {
+            next = alive;
+            alive = {};
+            kept = [];
+            for (q in layers[i]) {
+                e = delta[q] || [];
+                for (k = 0; k < e.length; ++k) {
+                    if (next[e[k][1]] && domain_contains(vs[i].dom, e[k][0])) {
+                        alive[q] = true;
+                        kept.push(e[k][0]);
+                    }
+                }
+            }
+            kept.sort(function (a, b) { return a - b; });
+            vs[i].set_dom(domain_non_empty(domain_from_values(kept)));
+        }
+    }
+
+    // Circuit constraint - the successor fdvars `succ` describe a single
+    // cycle that visits every node once, where `succ[i] = j` means that
+    // node j follows node i. Nodes are numbered from 0 like the indices
+    // of the array.
+    //
+    // Besides a domain consistent `distinct` on the successors, this adds
+    // a propagator that stops chains of fixed successors from closing
+    // into cycles that are too short ("subtours") and removes the edges
+    // that can't lie on any cycle because they join different strongly
+    // connected components of the graph of possible successors. If the
+    // graph isn't strongly connected, there can't be a tour at all.
+    Space.prototype.circuit = function (succ) {
+        return circuit_propagator(this, succ, false);
+    };
+
+    // Subcircuit constraint - like `circuit`, except that nodes may be
+    // left out of the cycle by being their own successor (`succ[i] = i`).
+    // The nodes that are in form a single cycle. Leaving out every node
+    // is allowed.
+    Space.prototype.subcircuit = function (succ) {
+        return circuit_propagator(this, succ, true);
+    };
+
+    function circuit_propagator(S, succ, sub) {
+        S.distinct(succ, 'domain');
+
+        return S.newprop({
+            allvars: succ.slice(0),
+            depvars: succ.slice(0),
+            cost: 'expensive',
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        circuit_prune(vs, sub);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    }
+
+    function circuit_prune(vs, sub) {
+        var N = vs.length, next = [], pred = [], seen = [], mandatory = [];
+        var i, k, comp, home;
+
+        for (i = 0; i < N; ++i) {
+            vs[i].constrain([[0, N - 1]]);
+            if (!sub && N > 1) {
+                vs[i].constrain(domain_complement([[i, i]]));
+            }
+            mandatory.push(!domain_contains(vs[i].dom, i));
+        }
+
+        // The fixed edges, leaving out the nodes that are out of the cycle.
+        for (i = 0; i < N; ++i) {
+            next.push(vs[i].is_undetermined() || vs[i].min() === i ? -1 : vs[i].min());
+            if (next[i] >= 0) {
+                pred[next[i]] = i;
+            }
+        }
+
+        // Follow every chain of fixed edges from its start, then
+        // whatever is left over, which can only be closed cycles.
+        for (k = 0; k < 2; ++k) {
+            for (i = 0; i < N; ++i) {
+                if (next[i] >= 0 && !seen[i] && (k > 0 || pred[i] === undefined)) {
+                    circuit_chain(vs, next, seen, mandatory, i, sub);
+                }
+            }
+        }
+
+        // An edge that joins two different strongly connected
+        // components can't be on a cycle.
+        comp = graph_scc(N, function (i) {
+            return domain_values(vs[i].dom).filter(function (j) { return j !== i; });
+        });
+
+        for (i = 0, home = -1; i < N; ++i) {
+            if (mandatory[i]) {
+                if (home < 0) {
+                    home = comp[i];
+                } else if (comp[i] !== home) {
+                    throw 'fail';
+                }
+            }
+        }
+
+        for (i = 0; i < N; ++i) {
+            if (home >= 0 && comp[i] !== home) {
+                vs[i].constrain([[i, i]]);
+            } else {
+                vs[i].constrain(domain_from_values(domain_values(vs[i].dom).filter(function (j) {
+                    return j === i || comp[j] === comp[i];
+                })));
+            }
+        }
+    }
+
+    // Walks the chain of fixed edges starting at node `start`. If it
+    // comes back to the start, all other nodes must be left out. If it
+    // ends at an open node, that node can't go back to the start unless
+    // the chain already holds all the nodes that must be in the cycle.
+    function circuit_chain(vs, next, seen, mandatory, start, sub) {
+        var N = vs.length, inchain = [], missing = false;
+        var i, end = start;
+
+        do {
+            seen[end] = inchain[end] = true;
+            end = next[end];
+        } while (next[end] >= 0 && !seen[end]);
+
+        if (end !== start) {
+            // Two fixed edges into the same node.
+            if (seen[end]) {
+                throw 'fail';
+            }
+            inchain[end] = true;
+        }
+
+        for (i = 0; i < N; ++i) {
+            if (!inchain[i] && (mandatory[i] || !sub)) {
+                missing = true;
+            }
+        }
+
+        if (end === start) {
+            if (missing) {
+                throw 'fail';
+            }
+            for (i = 0; i < N; ++i) {
+                if (!inchain[i]) {
+                    vs[i].constrain([[i, i]]);
+                }
+            }
+        } else if (missing) {
+            vs[end].constrain(domain_complement([[start, start]]));
+        }
+    }
+
+    // Lexicographic ordering - the values of the fdvars in `vars1`, taken
+    // in order, form a sequence that is lexicographically less than or
+    // equal to that of `vars2`. Both arrays must be of the same length.
+    //
+    // This is the usual way to break symmetries between interchangeable
+    // rows or columns of variables. Propagation is to generalized arc
+    // consistency.
+    Space.prototype.lex_lte = function (vars1, vars2) {
+        return lex_propagator(this, vars1, vars2, false);
+    };
+
+    // Strict lexicographic ordering - like `lex_lte`, but the two
+    // sequences can't be equal.
+    Space.prototype.lex_lt = function (vars1, vars2) {
+        return lex_propagator(this, vars1, vars2, true);
+    };
+
+    // Orders each row of fdvars lexicographically before the next
+    // one. The rows must all be of the same length. If `strict` is
+    // true, no two rows can be equal.
+    Space.prototype.lex_chain = function (rows, strict) {
+        var i;
+        for (i = 1; i < rows.length; ++i) {
+            lex_propagator(this, rows[i - 1], rows[i], !!strict);
+        }
+        return this;
+    };
+
+    function lex_propagator(S, vars1, vars2, strict) {
+        var N = vars1.length;
+
+        if (vars2.length !== N) {
+            throw "FD.space.lex: Sequences must be of the same length";
+        }
+
+        return S.newprop({
+            allvars: vars1.concat(vars2),
+            depvars: vars1.concat(vars2),
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                if (nextStep > this.last_step) {
+                    do {
+                        this.last_step = sum_of_steps(vs);
+                        lex_prune(vs.slice(0, N), vs.slice(N), strict);
+                    } while (sum_of_steps(vs) > this.last_step);
+
+                    return this.last_step - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    }
+
+    // feasible[i] tells whether xs[i..] can still be ordered before
+    // ys[i..]. Going from the front, as long as a position is forced to
+    // be equal, the next one must not be greater. At the first position
+    // that can still be smaller, the value equal to the other side's
+    // bound is only allowed if the rest can follow, and everything
+    // after that position is left free.
+    function lex_prune(xs, ys, strict) {
+        var N = xs.length, feasible = [];
+        var i, x, y;
+
+        feasible[N] = !strict;
+        for (i = N - 1; i >= 0; --i) {
+            x = xs[i];
+            y = ys[i];
+            feasible[i] = x.min() < y.max() || (feasible[i + 1] && domain_intersection(x.dom, y.dom).length > 0);
+        }
+
+        if (!feasible[0]) {
+            throw 'fail';
+        }
+
+        for (i = 0; i < N; ++i) {
+            x = xs[i];
+            y = ys[i];
+            if (feasible[i + 1]) {
+                x.constrain([[FD_INF, y.max()]]);
+                y.constrain([[x.min(), FD_SUP]]);
+            } else {
+                x.constrain([[FD_INF, y.max() - 1]]);
+                y.constrain([[x.min() + 1, FD_SUP]]);
+            }
+
+            if (x.min() < y.max()) {
+                break;
+            }
+        }
+    }
+
+    /////////////////////////////////////////////////////////////////
+    // Finite set variables.
+    //
+    // A set variable is given by its "least upper bound" - the values
+    // that may be in the set - and is represented in the space by one
+    // 0/1 fdvar per value, telling whether the value is in the set, and
+    // an fdvar for its cardinality. These are temporaries, so they are
+    // cloned, propagated and branched on like any other fdvar and don't
+    // show up in solutions. `S.sets` maps each set name to an object
+    // {values, bools, index, card} describing these. The descriptions
+    // don't change once declared, so clones share them.
+
+    // Declares a set variable which can hold any of the values in the
+    // domain `lub`. The optional `card` is a domain for the number of
+    // values in the set.
+    Space.prototype.decl_set = function (name, lub, card) {
+        var values = domain_values(lub);
+        var set = {values: values, bools: [], index: {}, card: null};
+        var i;
+
+        if (this.sets.hasOwnProperty(name)) {
+            throw "FD.space.decl_set: Set '" + name + "' already declared";
+        }
+
+        for (i = 0; i < values.length; ++i) {
+            set.index[values[i]] = i;
+            set.bools.push(this.temp([[0, 1]]));
+        }
+
+        set.card = this.temp([[0, values.length]]);
+        if (card) {
+            this.vars[set.card].constrain(card);
+        }
+
+        this.linear(values.map(function () { return 1; }), set.bools, '=', set.card);
+        this.sets[name] = set;
+        return this;
+    };
+
+    // Looks up a declared set variable.
+    function set_info(S, name) {
+        if (!S.sets.hasOwnProperty(name)) {
+            throw "FD.space: Unknown set '" + name + "'";
+        }
+        return S.sets[name];
+    }
+
+    // The 0/1 fdvar telling whether v is in the set, or null if v
+    // can never be in it.
+    function set_bool(set, v) {
+        return set.index.hasOwnProperty(v) ? set.bools[set.index[v]] : null;
+    }
+
+    // Creates a temporary set over the given values for
+    // the functional notation of the set operations.
+    function set_temp(S, values) {
+        var name = ++(Space._temp_count);
+        S.decl_set(name, domain_from_values(values));
+        return name;
+    }
+
+    // The cardinality of the set equals the fdvar `cardname`. If
+    // `cardname` is omitted, the name of the set's own cardinality
+    // fdvar is returned instead.
+    Space.prototype.card = function (setname, cardname) {
+        var set = set_info(this, setname);
+        if (!cardname) {
+            return set.card;
+        }
+        return this.eq(set.card, cardname);
+    };
+
+    // Every value in set A is also in set B.
+    Space.prototype.subset = function (aname, bname) {
+        var A = set_info(this, aname), B = set_info(this, bname);
+        var i, b;
+
+        for (i = 0; i < A.values.length; ++i) {
+            b = set_bool(B, A.values[i]);
+            if (b === null) {
+                this.vars[A.bools[i]].constrain([[0, 0]]);
+            } else {
+                this.lte(A.bools[i], b);
+            }
+        }
+
+        return this.lte(A.card, B.card);
+    };
+
+    // Sets A and B have no value in common.
+    Space.prototype.disjoint = function (aname, bname) {
+        var A = set_info(this, aname), B = set_info(this, bname);
+        var i, b;
+
+        for (i = 0; i < A.values.length; ++i) {
+            b = set_bool(B, A.values[i]);
+            if (b !== null) {
+                this.bool_clause([], [A.bools[i], b]);
+            }
+        }
+
+        return this;
+    };
+
+    // A U B = C. If `cname` is omitted, a temporary set is created for
+    // the result and its name is returned ("functional notation").
+    Space.prototype.union = function (aname, bname, cname) {
+        var A = set_info(this, aname), B = set_info(this, bname);
+        var retval = this;
+        var C, i, v, bools;
+
+        if (!cname) {
+            cname = retval = set_temp(this, domain_values(domain_union(domain_from_values(A.values), domain_from_values(B.values))));
+        }
+
+        C = set_info(this, cname);
+        for (i = 0; i < C.values.length; ++i) {
+            v = C.values[i];
+            bools = [set_bool(A, v), set_bool(B, v)].filter(function (b) { return b !== null; });
+            if (bools.length === 0) {
+                this.vars[C.bools[i]].constrain([[0, 0]]);
+            } else {
+                this.or(bools, C.bools[i]);
+            }
+        }
+
+        // Whatever is in A or B must be in C.
+        this.subset(aname, cname);
+        this.subset(bname, cname);
+        return retval;
+    };
+
+    // A INTERSECTION B = C. If `cname` is omitted, a temporary set is
+    // created for the result and its name is returned.
+    Space.prototype.intersection = function (aname, bname, cname) {
+        var A = set_info(this, aname), B = set_info(this, bname);
+        var retval = this;
+        var C, i, v, a, b, c;
+
+        if (!cname) {
+            cname = retval = set_temp(this, A.values.filter(function (v) { return set_bool(B, v) !== null; }));
+        }
+
+        C = set_info(this, cname);
+        for (i = 0; i < C.values.length; ++i) {
+            v = C.values[i];
+            a = set_bool(A, v);
+            b = set_bool(B, v);
+            if (a === null || b === null) {
+                this.vars[C.bools[i]].constrain([[0, 0]]);
+            } else {
+                this.and([a, b], C.bools[i]);
+            }
+        }
+
+        // A value in both A and B must be in C.
+        for (i = 0; i < A.values.length; ++i) {
+            v = A.values[i];
+            b = set_bool(B, v);
+            if (b !== null && set_bool(C, v) === null) {
+                this.bool_clause([], [A.bools[i], b]);
+            }
+        }
+
+        return retval;
+    };
+
+    // The fdvar's value is in the set.
+    Space.prototype.set_in = function (vname, setname) {
+        return set_membership(this, vname, set_info(this, setname), 1);
+    };
+
+    // The fdvar's value is not in the set.
+    Space.prototype.set_not_in = function (vname, setname) {
+        return set_membership(this, vname, set_info(this, setname), 0);
+    };
+
+    // Channels the value of the fdvar with the set's 0/1 fdvars. The
+    // fdvar can't take the values whose 0/1 fdvar is fixed to
+    // 1 - `member`, and once it is fixed, its value's 0/1 fdvar
+    // becomes `member`.
+    function set_membership(S, vname, set, member) {
+        var values = set.values;
+
+        return S.newprop({
+            allvars: [vname].concat(set.bools),
+            depvars: [vname].concat(set.bools),
+            step: function () {
+                var vs = this.space.slice(1);
+                var nextStep = sum_of_steps(vs);
+                var x = vs[0], allowed, i, v;
+
+                if (nextStep > this.last_step) {
+                    if (member) {
+                        allowed = values.filter(function (val, k) { return vs[k + 1].max() === 1; });
+                        x.constrain(domain_from_values(allowed));
+                    } else {
+                        allowed = values.filter(function (val, k) { return vs[k + 1].min() === 1; });
+                        x.constrain(domain_complement(domain_from_values(allowed)));
+                    }
+
+                    if (!x.is_undetermined()) {
+                        v = x.min();
+                        i = set.index.hasOwnProperty(v) ? set.index[v] : -1;
+                        if (i >= 0) {
+                            vs[i + 1].constrain([[member, member]]);
+                        }
+                    }
+
+                    return (this.last_step = sum_of_steps(vs)) - nextStep;
+                } else {
+                    return 0;
+                }
+            }
+        });
+    }
+
+    // The value of a set in the space as a sorted array of its members
+    // if it is determined, or as {glb: [...], lub: [...]} giving the
+    // values that are known to be in it and those that may be in it.
+    function set_value(S, set) {
+        var glb = [], lub = [];
+        var i, b;
+
+        for (i = 0; i < set.values.length; ++i) {
+            b = S.vars[set.bools[i]];
+            if (b.min() === 1) {
+                glb.push(set.values[i]);
+            }
+            if (b.max() === 1) {
+                lub.push(set.values[i]);
+            }
+        }
+
+        return glb.length === lub.length ? glb : {glb: glb, lub: lub};
+    }
+
+    /////////////////////////////////////////////////////////////////
+    // Text expressions.
+
+    // Posts the constraint given as a text expression. For example,
+    //
+    //      S.post("2 * X + Y <= Z - 3");
+    //      S.post("abs(A - B) != 1 || C = 0");
+    //
+    // An expression is made of integer constants, fdvar names, the
+    // arithmetic operators `+ - * / %` (with / and % as in `div` and `mod`),
+    // `^` with a constant exponent, the functions `abs(x)`, `min(x, ...)`
+    // and `max(x, ...)`, the comparisons `= != < <= > >=` (`==` and `<>`
+    // also work) and the boolean connectives `!`, `&&`, `||` and `=>`
+    // (also written `not`, `and`, `or` and `->`), from the tightest
+    // binding to the loosest.
+    //
+    // Sums and constant multiples of fdvars are gathered into single
+    // `linear` propagators, comparisons inside boolean connectives are
+    // reified, and temporaries are created for everything else.
+    Space.prototype.post = function (text) {
+        expr_post(this, expr_parse(text));
+        return this;
+    };
+
+    // Returns the name of an fdvar holding the value of the given text
+    // expression, which is a 0/1 fdvar for comparisons and boolean
+    // connectives. Temporaries are created as necessary.
+    Space.prototype.expr = function (text) {
+        return expr_var(this, expr_compile(this, expr_parse(text)));
+    };
+
+    var expr_token_pattern = /\s*(?:(\d+)|([A-Za-z_$][\w$]*)|(<=|>=|!=|==|<>|=>|->|&&|\|\||[-+*\/%^(),<>=!]))/g;
+    var expr_keywords = {and: '&&', or: '||', not: '!'};
+    var expr_relations = {'=': '=', '==': '=', '!=': '!=', '<>': '!=', '<': '<', '<=': '<=', '>': '>', '>=': '>='};
+
+    // Splits the text into tokens of the form {type, value, pos},
+    // where type is 'num', 'name' or 'op'.
+    function expr_tokenize(text) {
+        var tokens = [], pos = 0;
+        var m, start;
+
+        expr_token_pattern.lastIndex = 0;
+        while (pos < text.length) {
+            if (/^\s*$/.test(text.slice(pos))) {
+                break;
+            }
+            m = expr_token_pattern.exec(text);
+            if (!m || m.index !== pos) {
+                throw "FD.space.post: Unexpected character at position " + (pos + text.slice(pos).search(/\S/)) + " in '" + text + "'";
+            }
+            pos = expr_token_pattern.lastIndex;
+            start = pos - (m[1] || m[2] || m[3]).length;
+            if (m[1]) {
+                tokens.push({type: 'num', value: parseInt(m[1], 10), pos: start});
+            } else if (m[2] && expr_keywords.hasOwnProperty(m[2])) {
+                tokens.push({type: 'op', value: expr_keywords[m[2]], pos: start});
+            } else if (m[2]) {
+                tokens.push({type: 'name', value: m[2], pos: start});
+            } else {
+                tokens.push({type: 'op', value: m[3] === '->' ? '=>' : m[3], pos: start});
+            }
+        }
+
+        return tokens;
+    }
+
+    // Recursive descent parser giving a tree of nodes of the form
+    // {op, args} - or {op: 'num', value} and {op: 'name', value}
+    // at the leaves.
+    function expr_parse(text) {
+        var tokens = expr_tokenize(text), k = 0;
+        var tree;
+
+        function peek(value) {
+            return k < tokens.length && tokens[k].type === 'op' && tokens[k].value === value;
+        }
+
+        function expect(value) {
+            if (!peek(value)) {
+                error(value ? "Expected '" + value + "'" : 'Unexpected');
             }
-        });
+            return tokens[k++];
+        }
 
-        this.newprop({
-            allvars: [v1name, v2name, sumname],
-            depvars: [v1name, sumname],
-            step: function () {
-                var v1 = this.space[1], v2 = this.space[2], sum = this.space[3];
-                var nextStep = v1.step + v2.step + sum.step;
+        function error(msg, at) {
+            at = at === undefined ? k : at;
+            throw "FD.space.post: " + msg + (at < tokens.length ? " at position " + tokens[at].pos : " at end") + " in '" + text + "'";
+        }
 
-                if (nextStep > this.last_step) {
-                    v2.set_dom(domain_non_empty(domain_intersection(minusop(sum.dom, v1.dom), v2.dom)));
-                    this.last_step = sum.step + v1.step + v2.step;
+        function binary(next, ops) {
+            return function () {
+                var node = next(), op;
+                while (k < tokens.length && tokens[k].type === 'op' && ops.indexOf(tokens[k].value) >= 0) {
+                    op = tokens[k++].value;
+                    node = {op: op, args: [node, next()]};
                 }
+                return node;
+            };
+        }
 
-                return this.last_step - nextStep;
+        function implication() {
+            var node = disjunction();
+            if (peek('=>')) {
+                ++k;
+                node = {op: '=>', args: [node, implication()]};
             }
-        });
+            return node;
+        }
 
-        return retval;
-    };
+        function negation() {
+            if (peek('!')) {
+                ++k;
+                return {op: '!', args: [negation()]};
+            }
+            return comparison();
+        }
 
-    // Bidirectional addition propagator.
-    Space.prototype.plus = function (v1name, v2name, sumname) {
-        return ring.call(this, dom_plus, dom_minus, v1name, v2name, sumname);
-    };
+        function comparison() {
+            var node = sum();
+            if (k < tokens.length && tokens[k].type === 'op' && expr_relations.hasOwnProperty(tokens[k].value)) {
+                node = {op: expr_relations[tokens[k++].value], args: [node, sum()]};
+            }
+            return node;
+        }
 
-    // Bidirectional multiplication propagator.
-    Space.prototype.times = function (v1name, v2name, prodname) {
-        return ring.call(this, dom_times, dom_divby, v1name, v2name, prodname);
-    };
+        function unary() {
+            if (peek('-')) {
+                ++k;
+                return {op: 'neg', args: [unary()]};
+            }
+            return power();
+        }
 
-    // factor = constant number (not an fdvar)
-    // vname is an fdvar name
-    // prodname is an fdvar name.
-    //
-    // factor * v = prod
-    Space.prototype.scale = function (factor, vname, prodname) {
-        if (factor === 1) {
-            return this.eq(vname, prodname);
-        } else if (factor === 0) {
-            return this.eq(this.temp([[0, 0]]), prodname);
-        } else if (factor < 0) {
-            throw "scale: negative factors not supported.";
+        function power() {
+            var node = primary();
+            if (peek('^')) {
+                ++k;
+                if (k >= tokens.length || tokens[k].type !== 'num') {
+                    error("Expected a constant exponent");
+                }
+                node = {op: '^', args: [node, {op: 'num', value: tokens[k++].value}]};
+            }
+            return node;
         }
 
-        var retval = this;
-        if (!prodname) {
-            prodname = this.temp();
-            retval = prodname;
+        function primary() {
+            var t = tokens[k], node;
+
+            if (!t) {
+                error('Unexpected');
+            } else if (t.type === 'num') {
+                ++k;
+                return {op: 'num', value: t.value};
+            } else if (t.type === 'name') {
+                ++k;
+                if (!peek('(')) {
+                    return {op: 'name', value: t.value};
+                }
+                if (['abs', 'min', 'max'].indexOf(t.value) < 0) {
+                    error("Unknown function '" + t.value + "'", k - 1);
+                }
+                ++k;
+                node = {op: t.value, args: [implication()]};
+                while (peek(',')) {
+                    ++k;
+                    node.args.push(implication());
+                }
+                expect(')');
+                if (t.value === 'abs' && node.args.length !== 1) {
+                    error("abs takes one argument", tokens.indexOf(t));
+                }
+                return node;
+            }
+
+            expect('(');
+            node = implication();
+            expect(')');
+            return node;
         }
 
-        this.newprop({
-            allvars: [vname, prodname],
-            depvars: [vname],
-            step: function () {
-                var v = this.space[1], prod = this.space[2];
-                var nextStep = v.step + prod.step;
-                if (nextStep > this.last_step) {
-                    var bd = domain_bounds(v.dom);
-                    var kd, l, r;
+        var conjunction = binary(negation, ['&&']);
+        var disjunction = binary(conjunction, ['||']);
+        var term = binary(unary, ['*', '/', '%']);
+        var sum = binary(term, ['+', '-']);
 
-                    // We multiply only the interval bounds.
-                    kd = v.dom.map(function (i) { return [Math.min(FD_SUP, i[0] * factor), Math.min(FD_SUP, i[1] * factor)]; });
+        tree = implication();
+        if (k < tokens.length) {
+            error('Unexpected');
+        }
+        return tree;
+    }
 
-                    prod.set_dom(domain_non_empty(domain_intersection(kd, prod.dom)));
+    // Compiles the expression tree into the linear form {terms, c} which
+    // stands for SUM(terms[name] * name) + c. Anything that isn't linear
+    // is given a temporary fdvar.
+    function expr_compile(S, node) {
+        var a, b, vars;
+
+        switch (node.op) {
+            case 'num':
+                return {terms: {}, c: node.value};
+            case 'name':
+                if (!S.vars.hasOwnProperty(node.value)) {
+                    throw "FD.space.post: Unknown fdvar '" + node.value + "'";
+                }
+                a = {terms: {}, c: 0};
+                a.terms[node.value] = 1;
+                return a;
+            case 'neg':
+                return expr_scale(expr_compile(S, node.args[0]), -1);
+            case '+':
+            case '-':
+                return expr_add(expr_compile(S, node.args[0]), expr_scale(expr_compile(S, node.args[1]), node.op === '+' ? 1 : -1));
+        }
 
-                    return (this.last_step = v.step + prod.step) - nextStep;
-                } else {
-                    return 0;
+        if (node.op in expr_relations) {
+            a = expr_difference(S, node);
+            if (a.names.length === 0) {
+                return {terms: {}, c: expr_holds(node.op, a.c) ? 1 : 0};
+            }
+            return expr_form(S.reified('linear', [a.ks, a.names, node.op, a.c]));
+        }
+
+        vars = node.args.map(function (n) { return expr_compile(S, n); });
+        a = vars[0];
+        b = vars[1];
+
+        switch (node.op) {
+            case '*':
+                if (expr_is_const(a)) {
+                    return expr_scale(b, a.c);
+                } else if (expr_is_const(b)) {
+                    return expr_scale(a, b.c);
                 }
-             }
-        });
+                return expr_form(S.times(expr_var(S, a), expr_var(S, b)));
+            case '/':
+            case '%':
+                if (expr_is_const(a) && expr_is_const(b) && b.c !== 0) {
+                    return {terms: {}, c: node.op === '/' ? idiv_trunc(a.c, b.c) : a.c - b.c * idiv_trunc(a.c, b.c)};
+                }
+                return expr_form((node.op === '/' ? S.div : S.mod).call(S, expr_var(S, a), expr_var(S, b)));
+            case '^':
+                if (expr_is_const(a)) {
+                    return {terms: {}, c: Math.pow(a.c, b.c)};
+                }
+                return expr_form(S.pow(expr_var(S, a), b.c));
+            case 'abs':
+                return expr_form(S.abs(expr_var(S, a)));
+            case 'min':
+                return expr_form(S.minimum(vars.map(function (v) { return expr_var(S, v); })));
+            case 'max':
+                return expr_form(S.maximum(vars.map(function (v) { return expr_var(S, v); })));
+            case '!':
+                return expr_form(S.not(expr_var(S, a)));
+            case '&&':
+                return expr_form(S.and([expr_var(S, a), expr_var(S, b)]));
+            case '||':
+                return expr_form(S.or([expr_var(S, a), expr_var(S, b)]));
+            case '=>':
+                return expr_form(S.implies(expr_var(S, a), expr_var(S, b)));
+        }
 
-        this.newprop({
-            allvars: [vname, prodname],
-            depvars: [prodname],
-            step: function () {
-                var v = this.space[1], prod = this.space[2];
-                var nextStep = v.step + prod.step;
-                if (nextStep > this.last_step) {
-                    var dbyk, l, r;
+        throw "FD.space.post: Unknown operator '" + node.op + "'";
+    }
 
-                    dbyk = simplify_domain(prod.dom.map(function (i) {
-                        l = i[0] / factor;
-                        r = i[1] / factor;
-                        return [l - l % 1, r - r % 1];
-                    }));
+    // Posts the expression tree as a constraint. Top level comparisons
+    // become `linear` propagators and conjunctions are split up.
+    function expr_post(S, node) {
+        var a, child;
 
-                    v.set_dom(domain_non_empty(domain_intersection(dbyk, v.dom)));
+        if (node.op in expr_relations) {
+            a = expr_difference(S, node);
+            S.linear(a.ks, a.names, node.op, a.c);
+            return;
+        }
 
-                    return (this.last_step = v.step + prod.step) - nextStep;
+        switch (node.op) {
+            case '&&':
+                expr_post(S, node.args[0]);
+                expr_post(S, node.args[1]);
+                return;
+            case '!':
+                child = node.args[0];
+                if (child.op in expr_relations) {
+                    expr_post(S, {op: Propagator.complementary_relation[child.op], args: child.args});
                 } else {
-                    return 0;
+                    S.not(expr_var(S, expr_compile(S, child)), S.konst(1));
                 }
+                return;
+            case '||':
+                S.or(node.args.map(function (n) { return expr_var(S, expr_compile(S, n)); }), S.konst(1));
+                return;
+            case '=>':
+                S.implies(expr_var(S, expr_compile(S, node.args[0])), expr_var(S, expr_compile(S, node.args[1])), S.konst(1));
+                return;
+        }
+
+        throw "FD.space.post: Expression is not a constraint";
+    }
+
+    // The comparison `lhs rel rhs` as SUM(ks[i] * names[i]) rel c.
+    function expr_difference(S, node) {
+        var d = expr_add(expr_compile(S, node.args[0]), expr_scale(expr_compile(S, node.args[1]), -1));
+        var names = [], ks = [];
+        var n;
+
+        for (n in d.terms) {
+            if (d.terms[n] !== 0) {
+                names.push(n);
+                ks.push(d.terms[n]);
             }
-        });
-        
-        return retval;
-    };
+        }
 
-    // TODO: Can be made more efficient.
-    Space.prototype.times_plus = function (k1, v1name, k2, v2name, resultname) {
-        return this.plus(this.scale(k1, v1name), this.scale(k2, v2name), resultname);
-    };
+        return {names: names, ks: ks, c: -d.c};
+    }
 
-    // Sum of N fdvars = resultFDVar
-    // Creates as many temporaries as necessary.
-    Space.prototype.sum = function (vars, resultName) {
-        var n, N, t1, t2;
-        var retval = this;
-        if (!resultName) {
-            resultName = this.temp();
-            retval = resultName;
+    function expr_holds(rel, c) {
+        switch (rel) {
+            case '=': return 0 === c;
+            case '!=': return 0 !== c;
+            case '<': return 0 < c;
+            case '<=': return 0 <= c;
+            case '>': return 0 > c;
+            case '>=': return 0 >= c;
         }
+    }
 
-        switch (vars.length) {
-            case 0: throw "Space.sum: Nothing to sum!";
-            case 1: this.eq(vars[0], resultName); return retval;
-            case 2: this.plus(vars[0], vars[1], resultName); return retval;
-            default:
-                n = vars.length >> 1;
-                t2 = this.temp();
-                this.sum(vars.slice(n), t2);
-                if (n > 1) {
-                    t1 = this.temp();
-                    this.sum(vars.slice(0, n), t1);
-                } else {
-                    t1 = vars[0];
-                }
-                this.plus(t1, t2, resultName);
-                return retval;
+    function expr_form(name) {
+        var f = {terms: {}, c: 0};
+        f.terms[name] = 1;
+        return f;
+    }
+
+    function expr_is_const(f) {
+        var n;
+        for (n in f.terms) {
+            if (f.terms[n] !== 0) {
+                return false;
+            }
         }
-    };
+        return true;
+    }
 
-    // Product of N fdvars = resultFDvar.
-    // Create as many temporaries as necessary.
-    Space.prototype.product = function (vars, resultName) {
-        var n, t1, t2;
-        var retval = this;
-        if (!resultName) {
-            resultName = this.temp();
-            retval = resultName;
+    function expr_add(f1, f2) {
+        var f = {terms: {}, c: f1.c + f2.c};
+        var n;
+        for (n in f1.terms) {
+            f.terms[n] = f1.terms[n];
+        }
+        for (n in f2.terms) {
+            f.terms[n] = (f.terms[n] || 0) + f2.terms[n];
         }
+        return f;
+    }
 
-        switch (vars.length) {
-            case 0: return retval;
-            case 1: this.eq(vars[0], resultName); return retval;
-            case 2: this.times(vars[0], vars[1], resultName); return retval;
-            default:
-                n = vars.length >> 1;
-                t2 = this.temp();
-                this.product(vars.slice(n), t2);
-                if (n > 1) {
-                    t1 = this.temp();
-                    this.product(vars.slice(0, n), t1);
-                } else {
-                    t1 = vars[0];
-                }
-                this.times(t1, t2, resultName);
-                return retval;
+    function expr_scale(f, k) {
+        var g = {terms: {}, c: f.c * k};
+        var n;
+        for (n in f.terms) {
+            g.terms[n] = f.terms[n] * k;
         }
-    };
+        return g;
+    }
 
-    // Weighted sum of fdvars where the weights are constants.
-    Space.prototype.wsum = function (kweights, vars, resultName) {
-        var temps = [];
-        var i, len, t;
-        for (i = 0, len = vars.length; i < len; ++i) {
-            t = this.temp();
-            this.scale(kweights[i], vars[i], t);
-            temps.push(t);
+    // The name of an fdvar holding the value of the linear form,
+    // which is a new temporary unless the form is a lone fdvar.
+    function expr_var(S, f) {
+        var names = [], ks = [];
+        var n, t;
+
+        for (n in f.terms) {
+            if (f.terms[n] !== 0) {
+                names.push(n);
+                ks.push(f.terms[n]);
+            }
         }
-        return this.sum(temps, resultName);
+
+        if (names.length === 0) {
+            return S.konst(f.c);
+        } else if (names.length === 1 && ks[0] === 1 && f.c === 0) {
+            return names[0];
+        }
+
+        t = S.temp();
+        S.linear(ks.concat([-1]), names.concat([t]), '=', -f.c);
+        return t;
     }
 
     // Closes all the gaps between the intervals according to
@@ -1297,6 +4892,21 @@ var FD = (function (exports, Math) {
         return [d1, d2];
     }
 
+    // Clamps the intervals of the given (not necessarily CSIS)
+    // domain to [FD_INF, FD_SUP], dropping intervals that end up
+    // empty. Returns a new array suitable for simplify_domain.
+    function dom_clamp(d) {
+        var i, len, lo, hi, result = [];
+        for (i = 0, len = d.length; i < len; ++i) {
+            lo = d[i][0] < FD_INF ? FD_INF : d[i][0];
+            hi = d[i][1] > FD_SUP ? FD_SUP : d[i][1];
+            if (lo <= hi) {
+                result.push([lo, hi]);
+            }
+        }
+        return result;
+    }
+
     function dom_plus(d1, d2) {
         var d, i, j, len1, len2, i1, i2, p = [];
         var change;
@@ -1312,29 +4922,35 @@ var FD = (function (exports, Math) {
             i1 = d1[i];
             for (j = 0; j < len2; ++j) {
                 i2 = d2[j];
-                p.push([Math.min(FD_SUP, i1[0] + i2[0]), Math.min(FD_SUP, i1[1] + i2[1])]);
+                p.push([i1[0] + i2[0], i1[1] + i2[1]]);
             }
         }
 
-        return simplify_domain(p);
+        return simplify_domain(dom_clamp(p));
     }
 
     // Note that this one isn't domain consistent.
     function dom_times(d1, d2) {
-        var i, j, len1, len2, i1, i2, p = [];
+        var i, j, len1, len2, i1, i2, a, b, c, d, p = [];
         for (i = 0, len1 = d1.length, len2 = d2.length; i < len1; ++i) {
             i1 = d1[i];
             for (j = 0; j < len2; ++j) {
                 i2 = d2[j];
-                p.push([Math.min(FD_SUP, i1[0] * i2[0]), Math.min(FD_SUP, i1[1] * i2[1])]);
+                // With signed intervals, the extremes of the product
+                // can be at any of the four corners.
+                a = i1[0] * i2[0];
+                b = i1[0] * i2[1];
+                c = i1[1] * i2[0];
+                d = i1[1] * i2[1];
+                p.push([Math.min(a, b, c, d), Math.max(a, b, c, d)]);
             }
         }
 
-        return simplify_domain(p);
+        return simplify_domain(dom_clamp(p));
     }
 
     function dom_minus(d1, d2) {
-        var d, i, j, len1, len2, i1, i2, p = [], lo, hi;
+        var d, i, j, len1, len2, i1, i2, p = [];
 
         // Simplify the domains by closing gaps since when we add
         // the domains, the gaps will close according to the
@@ -1347,46 +4963,59 @@ var FD = (function (exports, Math) {
             i1 = d1[i];
             for (j = 0; j < len2; ++j) {
                 i2 = d2[j];
-                lo = i1[0] - i2[1];
-                hi = i1[1] - i2[0];
-                if (hi >= 0) {
-                    p.push([(lo < 0 ? 0 : lo), hi]);
-                }
+                p.push([i1[0] - i2[1], i1[1] - i2[0]]);
             }
         }
 
-        return simplify_domain(p);
+        return simplify_domain(dom_clamp(p));
     }
 
+    // Integer division rounding towards -infinity.
     function idiv_floor(a, b) {
-        //return a / b;
-        return (a  - a % b) / b;
+        var m = a % b;
+        var q = (a - m) / b;
+        return (m !== 0 && ((m < 0) !== (b < 0))) ? q - 1 : q;
     }
 
+    // Integer division rounding towards +infinity.
     function idiv_ceil(a, b) {
-        let m = a % b;
-        if (m == 0) { return a / b; }
-        return (a + b - m) / b;
+        return -idiv_floor(-a, b);
+    }
+
+    // Pushes the range of real quotients i1/i2 rounded inwards
+    // to integers into p. i2 must not contain 0.
+    function dom_divby_interval(i1, i2, p) {
+        var lo = Math.min(idiv_ceil(i1[0], i2[0]), idiv_ceil(i1[0], i2[1]),
+                          idiv_ceil(i1[1], i2[0]), idiv_ceil(i1[1], i2[1]));
+        var hi = Math.max(idiv_floor(i1[0], i2[0]), idiv_floor(i1[0], i2[1]),
+                          idiv_floor(i1[1], i2[0]), idiv_floor(i1[1], i2[1]));
+        if (lo <= hi) {
+            p.push([lo, hi]);
+        }
     }
 
-    // Note that this isn't domain consistent.
+    // Gives the values X for which X * Y = Z for some Z in d1
+    // and Y in d2. Note that this isn't domain consistent.
     function dom_divby(d1, d2) {
-        var i, j, len1, len2, i1, i2, p = [], lo, hi;
+        var i, j, len1, len2, i1, i2, p = [];
         for (i = 0, len1 = d1.length, len2 = d2.length; i < len1; ++i) {
             i1 = d1[i];
             for (j = 0; j < len2; ++j) {
                 i2 = d2[j];
+                if (i2[0] <= 0 && i2[1] >= 0 && i1[0] <= 0 && i1[1] >= 0) {
+                    // 0 * X = 0 for any X.
+                    return [[FD_INF, FD_SUP]];
+                }
+                if (i2[0] < 0) {
+                    dom_divby_interval(i1, [i2[0], Math.min(i2[1], -1)], p);
+                }
                 if (i2[1] > 0) {
-                    lo = idiv_floor(i1[0], i2[1]);
-                    hi = (i2[0] > 0 ? idiv_floor(i1[1], i2[0]) : FD_SUP);
-                    if (hi >= 0) {
-                        p.push([(lo < 0 ? 0 : lo), hi]);
-                    }
+                    dom_divby_interval(i1, [Math.max(i2[0], 1), i2[1]], p);
                 }
             }
         }
 
-        return simplify_domain(p);
+        return simplify_domain(dom_clamp(p));
     }
 
     /////////////////////////////////////////////////////////////////
@@ -1649,6 +5278,25 @@ var FD = (function (exports, Math) {
         };
     }());
             
+    // Branches on the elements of the given set variables in order,
+    // first trying to include each undecided value in its set and
+    // then excluding it.
+    Distribute.set = (function () {
+        var spec = {
+            filter: 'undet',
+            ordering: 'naive',
+            value: 'max'
+        };
+
+        return function (S, setnames) {
+            var bools = [];
+            setnames.forEach(function (name) {
+                bools.push.apply(bools, set_info(S, name).bools);
+            });
+            return Distribute.generic(S, bools, spec);
+        };
+    }());
+
     // Search using the branchers.
     var Search = {};
 
@@ -1738,6 +5386,10 @@ var FD = (function (exports, Math) {
         var stack = state.stack;
         var brancher, next_space, choose_next_space;
 
+        if (state.trail) {
+            return depth_first_trail(state);
+        }
+
         // If no stack argument, then search begins with this space.
         if (!stack || stack.length === 0) {
             stack = state.stack = [space];
@@ -1807,6 +5459,151 @@ var FD = (function (exports, Math) {
         return state;
     };
 
+    // Depth first search that works on the starting space itself
+    // instead of on clones. The domain changes made below a choice
+    // point are recorded on a "trail" and undone to get back to the
+    // choice point, so memory use only grows with the depth of the
+    // search and not with the number of spaces explored. Set
+    // `state.trail` to true to have depth_first search this way.
+    //
+    // The space returned in `state.space` along with a solution is the
+    // starting space, so take what you need from it before continuing
+    // the search. After the search ends, the starting space is back in
+    // the state it was in after its first propagation.
+    //
+    // The stack holds a frame per choice point, noting the length of
+    // the trail at that point, the propagators that weren't entailed,
+    // the `clamped` flag, the brancher's position and the choices still
+    // to be tried.
+    function depth_first_trail(state) {
+        var S = state.space;
+        var stack = state.stack;
+        var frame, descend = false;
+
+        if (!stack || stack.length === 0) {
+            stack = state.stack = [];
+            trail_begin(S);
+            descend = true;
+        }
+
+        if (!state.is_solved) {
+            state.is_solved = Search.solve_for_variables();
+        }
+
+        while (true) {
+            if (descend) {
+                try {
+                    S.propagate();
+
+                    if (state.is_solved(S)) {
+                        S.succeeded_children++;
+                        state.status = 'solved';
+                        state.more = stack.length > 0;
+                        if (!state.more) {
+                            // Solved without any choice points.
+                            trail_end(S);
+                        }
+                        return state;
+                    }
+
+                    frame = {
+                        mark: S._trail.length,
+                        propagators: S._propagators,
+                        clamped: S.clamped,
+                        commit: S.brancher.branch(),
+                        nextChoice: 0
+                    };
+
+                    if (frame.commit) {
+                        frame.next_brancher = S.brancher.next_brancher;
+                        stack.push(frame);
+                    } else {
+                        S.stable_children++;
+                    }
+                } catch (e) {
+                    S.failed_children++;
+                    if (stack.length === 0) {
+                        // The starting space itself failed.
+                        S.failed = true;
+                    }
+                }
+            }
+
+            // Back up to the closest choice point with choices left
+            // and commit to the next of them.
+            frame = stack[stack.length - 1];
+            while (frame && frame.nextChoice >= frame.commit.numChoices) {
+                trail_undo(S, frame);
+                stack.pop();
+                frame = stack[stack.length - 1];
+            }
+
+            if (!frame) {
+                break;
+            }
+
+            trail_undo(S, frame);
+            try {
+                frame.commit(S, frame.nextChoice++);
+                descend = true;
+            } catch (e) {
+                S.failed_children++;
+                descend = false;
+            }
+        }
+
+        trail_end(S);
+        state.status = 'end';
+        state.more = false;
+        return state;
+    }
+
+    // Starts recording the domain changes of all the fdvars in S.
+    function trail_begin(S) {
+        var name;
+        S._trail = [];
+        for (name in S.vars) {
+            S.vars[name].trail = S._trail;
+        }
+    }
+
+    // Stops recording the domain changes of the fdvars in S.
+    function trail_end(S) {
+        var name;
+        for (name in S.vars) {
+            S.vars[name].trail = null;
+        }
+        S._trail = null;
+    }
+
+    // Takes S back to the state it was in when the given frame was
+    // pushed. The trail holds (fdvar, domain, stable domain) triples.
+    function trail_undo(S, frame) {
+        var trail = S._trail, i, v;
+
+        for (i = trail.length - 3; i >= frame.mark; i -= 3) {
+            v = trail[i];
+            v.dom = trail[i + 1];
+            v.stable_dom = trail[i + 2];
+
+            // The step counter keeps going up, so that the propagators
+            // take the restored domain as just another change.
+            v.step++;
+        }
+        trail.length = frame.mark;
+
+        // The propagators found to be entailed below the choice
+        // point needn't be entailed at it, so they all run again.
+        S._propagators = frame.propagators;
+        S._stable_count = frame.propagators.length;
+        for (i = 0; i < frame.propagators.length; ++i) {
+            frame.propagators[i].solved = false;
+        }
+
+        S.clamped = frame.clamped;
+        S.brancher.next_brancher = frame.next_brancher;
+    }
+
     // Branch and bound search
     // WARNING: Untested!
     // TODO: Test this function and once the tests pass, remove the above warning.
@@ -1983,7 +5780,7 @@ var FD = (function (exports, Math) {
 
 
     exports.SUP = FD_SUP;
-    exports.INF = 0;
+    exports.INF = FD_INF;
     exports.space = Space;
     exports.distribute = Distribute;
     exports.search = Search;
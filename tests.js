@@ -44,7 +44,11 @@ try {
     // ABCDEFGHI and <digit> gives column from
     // 123456789. The solution of the space will be 
     // an object with a key for each cell.
-    function sudoku(board) {
+    //
+    // 'consistency' is passed on to S.distinct and
+    // defaults to 'domain'.
+    function sudoku(board, consistency) {
+        consistency = consistency || 'domain';
         return function (S) {
             var rows = ['A','B','C','D','E','F','G','H','I'];
             var cols = ['1','2','3','4','5','6','7','8','9'];
@@ -66,7 +70,7 @@ try {
                 for (j = 0; j < 9; ++j) {
                     k.push(rows[i] + cols[j]);
                 }
-                S.distinct(k);
+                S.distinct(k, consistency);
             }
 
             // Add column constraints
@@ -75,7 +79,7 @@ try {
                 for (j = 0; j < 9; ++j) {
                     k.push(rows[j] + cols[i]);
                 }
-                S.distinct(k);
+                S.distinct(k, consistency);
             }
 
             // Add box constraints.
@@ -87,7 +91,7 @@ try {
                             k.push(rows[i * 3 + i2] + cols[j * 3 + j2]);
                         }
                     }
-                    S.distinct(k);
+                    S.distinct(k, consistency);
                 }
             }
 
@@ -391,6 +395,138 @@ try {
             return S;
         }
     },
+    {   name: 'test_send_more_money_linear',
+        description: "Same SEND + MORE = MONEY as a single linear constraint",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var SEND = sol.S * 1000 + sol.E * 100 + sol.N * 10 + sol.D;
+            var MORE = sol.M * 1000 + sol.O * 100 + sol.R * 10 + sol.E;
+            var MONEY = sol.M * 10000 + sol.O * 1000 + sol.N * 100 + sol.E * 10 + sol.Y;
+            return SEND + MORE === MONEY;
+        },
+        script: function (S) {
+            var root = ['S','E','N','D','M','O','R','Y'];
+            S.decl(root, [[0,9]]).distinct(root, 'domain');
+            S.decl(['S','M'], [[1,9]]);
+
+            S.linear([1000, 100, 10, 1, 1000, 100, 10, 1, -10000, -1000, -100, -10, -1],
+                     ['S','E','N','D','M','O','R','E','M','O','N','E','Y'],
+                     '=', 0);
+
+            FD.distribute.fail_first(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_send_more_money_expr',
+        description: "Same SEND + MORE = MONEY written as a text expression",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var SEND = sol.S * 1000 + sol.E * 100 + sol.N * 10 + sol.D;
+            var MORE = sol.M * 1000 + sol.O * 100 + sol.R * 10 + sol.E;
+            var MONEY = sol.M * 10000 + sol.O * 1000 + sol.N * 100 + sol.E * 10 + sol.Y;
+            return SEND + MORE === MONEY;
+        },
+        script: function (S) {
+            var root = ['S','E','N','D','M','O','R','Y'];
+            S.decl(root, [[0,9]]).distinct(root);
+            S.post("S > 0 && M > 0");
+            S.post("1000*S + 100*E + 10*N + D + 1000*M + 100*O + 10*R + E = 10000*M + 1000*O + 100*N + 10*E + Y");
+            FD.distribute.fail_first(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_expr',
+        description: "abs(X - Y) != 1, (X * Y) % 3 = 0 => X < Y and max(X, Y) - min(X, Y) = Z with X, Y in [[-4, 4]]",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return Math.abs(sol.X - sol.Y) !== 1 && ((sol.X * sol.Y) % 3 !== 0 || sol.X < sol.Y)
+                && sol.Z === Math.max(sol.X, sol.Y) - Math.min(sol.X, sol.Y) && sol.B === (sol.Z > 4 ? 1 : 0);
+        },
+        script: function (S) {
+            S.decl(['X', 'Y'], [[-4, 4]]).decl('Z', [[FD.INF, FD.SUP]]);
+            S.post("abs(X - Y) != 1");
+            S.post("(X * Y) % 3 = 0 => X < Y");
+            S.post("max(X, Y) - min(X, Y) = Z");
+            S.decl('B', [[0, 1]]).eq('B', S.expr("Z > 4"));
+            FD.distribute.naive(S, ['X', 'Y']);
+            return S;
+        }
+    },
+    {   name: 'test_linear',
+        description: "3X - 2Y + Z &lt;= 4, X + Y + Z = W, X - Z != 1 and 2X + Y &gt; 6 with X, Y, Z in [[-3, 3]]",
+        search: FD.search.depth_first,
+        max_solutions: 20,
+        verify: function (sol) {
+            return 3 * sol.X - 2 * sol.Y + sol.Z <= 4 && sol.X + sol.Y + sol.Z === sol.W
+                && sol.X - sol.Z !== 1 && 2 * sol.X + sol.Y > 6;
+        },
+        script: function (S) {
+            var root = ['X', 'Y', 'Z'];
+            S.decl(root, [[-3, 3]]).decl('W', [[FD.INF, FD.SUP]]);
+            S.linear([3, -2, 1], root, '<=', 4);
+            S.linear([1, 1, 1], root, '=', 'W');
+            S.linear([1, -1], ['X', 'Z'], '!=', 1);
+            S.linear([2, 1], ['X', 'Y'], '>', 6);
+            FD.distribute.naive(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_linear_names',
+        description: "X = 5, X - Y = T with T = 3 and X + Y &lt;= 8, where the right hand sides are a konst, a temp and a number",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.X === 5 && sol.Y === 2;
+        },
+        script: function (S) {
+            var t = S.temp();
+            S.decl(['X', 'Y'], [[FD.INF, FD.SUP]]);
+            S.linear([1], ['X'], '=', S.konst(5));
+            S.eq(t, S.konst(3));
+            S.linear([1, -1], ['X', 'Y'], '=', t);
+            S.linear([1, 1], ['X', 'Y'], '<=', 8);
+            return S;
+        }
+    },
+    {   name: 'test_arithmetic',
+        description: "X / Y = Q, X % Y = R, |X - Y| = D, D ^ 2 = P and max(Q, R) = M = min(D, 4) with X in [[-9, 9]], Y in [[-3, 3]]",
+        search: FD.search.depth_first,
+        max_solutions: 30,
+        verify: function (sol) {
+            var q = (sol.X / sol.Y) < 0 ? Math.ceil(sol.X / sol.Y) : Math.floor(sol.X / sol.Y);
+            return sol.Y !== 0 && sol.Q === q && sol.R === sol.X - sol.Y * q
+                && sol.D === Math.abs(sol.X - sol.Y) && sol.P === sol.D * sol.D
+                && sol.M === Math.max(sol.Q, sol.R) && sol.M === Math.min(sol.D, 4);
+        },
+        script: function (S) {
+            S.decl('X', [[-9, 9]]).decl('Y', [[-3, 3]]);
+            S.decl(['Q', 'R', 'T', 'D', 'P', 'M'], [[FD.INF, FD.SUP]]);
+            S.div('X', 'Y', 'Q');
+            S.mod('X', 'Y', 'R');
+            S.plus('Y', 'T', 'X');
+            S.abs('T', 'D');
+            S.pow('D', 2, 'P');
+            S.max('Q', 'R', 'M');
+            S.minimum(['D', S.konst(4)], 'M');
+            FD.distribute.naive(S, ['X', 'Y']);
+            return S;
+        }
+    },
+    {   name: 'test_times_domain',
+        description: "X * Y = P and P * Z = Q with X, Y, Z in {2, 3, 5, 7}, P in [[10, 21]] and Q in [[40, 60]], using domain consistent multiplication",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.X * sol.Y === sol.P && sol.P * sol.Z === sol.Q
+                && sol.P >= 10 && sol.P <= 21 && sol.Q >= 40 && sol.Q <= 60;
+        },
+        script: function (S) {
+            var primes = [[2, 3], [5, 5], [7, 7]];
+            S.decl(['X', 'Y', 'Z'], primes).decl('P', [[10, 21]]).decl('Q', [[40, 60]]);
+            S.times('X', 'Y', 'P', 'domain');
+            S.times('P', 'Z', 'Q', 'domain');
+            FD.distribute.naive(S, ['X', 'Y', 'Z']);
+            return S;
+        }
+    },
     {   name: 'test_einstein',
         description: 'The famous <a href="http://www.stanford.edu/~laurik/fsmbook/examples/Einstein\'sPuzzle.html">Einstein puzzle</a>',
         search: FD.search.depth_first,
@@ -576,6 +712,63 @@ try {
             })(S);
         }
     },
+    {   name: 'test_really_hard_sudoku+bounds',
+        description: "The same really hard sudoku using bounds consistent distinct constraints",
+        search: FD.search.depth_first,
+        verify: verify_sudoku,
+        script: function (S) {
+            return sudoku({
+                A6:8, A7:5,
+            B2:2, B6:6, B9:1,
+            C2:3, C3:9, C8:4, C9:2,
+            D7:6, D8:1,
+            E1:4, E9:5,
+            F2:1, F3:7,
+            G1:2, G2:5, G7:1, G8:9,
+            H1:3, H4:4, H8:2,
+            I3:8, I4:9
+            }, 'bounds')(S);
+        }
+    },
+    {   name: 'test_worlds_hardest_sudoku+value',
+        description: "The world's hardest sudoku using pairwise distinct constraints",
+        search: FD.search.depth_first,
+        verify: verify_sudoku,
+        script: function (S) {
+            return sudoku({
+                A3:7, A7:3,
+            B2:4, B9:7,
+            C1:3, C8:1,
+            D1:6, D6:4,
+            E2:1, E5:8, E9:2,
+            F3:5, F4:3, F7:9,
+            G3:9, G4:6, G7:5,
+            H2:3, H5:2, H9:8,
+            I1:1, I6:7, I8:9
+            }, 'value')(S);
+        }
+    },
+    {   name: 'test_worlds_hardest_sudoku+trail',
+        description: "The world's hardest sudoku searched by trailing instead of cloning",
+        search: function (state) {
+            state.trail = true;
+            return FD.search.depth_first(state);
+        },
+        verify: verify_sudoku,
+        script: function (S) {
+            return sudoku({
+                A3:7, A7:3,
+            B2:4, B9:7,
+            C1:3, C8:1,
+            D1:6, D6:4,
+            E2:1, E5:8, E9:2,
+            F3:5, F4:3, F7:9,
+            G3:9, G4:6, G7:5,
+            H2:3, H5:2, H9:8,
+            I1:1, I6:7, I8:9
+            })(S);
+        }
+    },
     {   name: 'test_blank_sudoku',
         description: "Starting from a blank slate, find one solution",
         search: FD.search.depth_first,
@@ -595,6 +788,542 @@ try {
             FD.distribute.naive(S, ['X', 'Y', 'Z']);
             return S;
         }
+    },
+    {   name: 'test_negative_domains',
+        description: "Signed domains: X + Y = -3, X * Y = -10, -2 * X = W with X, Y in [[-10,10]]",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.X + sol.Y === -3 && sol.X * sol.Y === -10 && sol.W === -2 * sol.X;
+        },
+        script: function (S) {
+            S.decl(['X', 'Y'], [[-10, 10]]).decl('W', [[FD.INF, FD.SUP]]);
+            S.plus('X', 'Y', S.konst(-3));
+            S.times('X', 'Y', S.konst(-10));
+            S.scale(-2, 'X', 'W');
+            FD.distribute.naive(S, ['X', 'Y']);
+            return S;
+        }
+    },
+    {   name: 'test_in',
+        description: "X in [[2, 30]] on top of [[0, 20]], X not in [[5, 15]] and B = (X in [[0, 3]]), with B = 1 or X > 18",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.X >= 2 && sol.X <= 20 && (sol.X < 5 || sol.X > 15)
+                && sol.B === (sol.X <= 3 ? 1 : 0) && (sol.B === 1 || sol.X > 18);
+        },
+        script: function (S) {
+            S.decl('X', [[0, 20]]).decl('B', [[0, 1]]);
+            S['in']('X', [[2, 30]]);
+            S.not_in('X', [[5, 15]]);
+            S.reified('in', ['X', [[0, 3]]], 'B');
+            S.post("B = 1 || X > 18");
+            FD.distribute.naive(S, ['X']);
+            return S;
+        }
+    },
+    {   name: 'test_element',
+        description: "Cost of the chosen supplier: costs[Supplier] = Cost, Cost &lt; 9, and [A, B, C][Index] = A + 1",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var costs = [12, 7, 9, 7];
+            return sol.Cost === costs[sol.Supplier] && sol.Cost < 9
+                && [sol.A, sol.B, sol.C][sol.Index] === sol.A + 1;
+        },
+        script: function (S) {
+            S.decl(['Supplier', 'Cost', 'Index']);
+            S.decl(['A', 'B', 'C'], [[1, 3]]);
+            S.element('Supplier', [12, 7, 9, 7], 'Cost');
+            S.lt('Cost', S.konst(9));
+            S.eq(S.element('Index', ['A', 'B', 'C']), S.plus('A', S.konst(1)));
+            FD.distribute.naive(S, ['Supplier', 'Index', 'A', 'B', 'C']);
+            return S;
+        }
+    },
+    {   name: 'test_element_names',
+        description: "[10, 20, 30, X][I] = R with R &lt; 40 and X in [[39, 40]], where 20 and 30 are given as a konst and a temp",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.R === [10, 20, 30, sol.X][sol.I] && sol.R < 40;
+        },
+        script: function (S) {
+            S.decl('I', [[0, 3]]).decl('R', [[0, 39]]).decl('X', [[39, 40]]);
+            S.element('I', [10, S.konst(20), S.temp([[30, 30]]), 'X'], 'R');
+            FD.distribute.naive(S, ['I', 'X']);
+            return S;
+        }
+    },
+    {   name: 'test_inverse',
+        description: 'Four people in four slots, seen both as the slot of each person and the person in each slot. Ann is not in slot 0, slot 3 does not have Bob and Cat takes slot 1 or 2 (through 0/1 channels)',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var people = ['Ann', 'Bob', 'Cat', 'Dan'];
+            var i, ok = true;
+            for (i = 0; i < 4; ++i) {
+                ok = ok && sol['Slot' + sol[people[i]]] === i;
+                ok = ok && sol['Cat' + i] === (sol.Cat === i ? 1 : 0);
+            }
+            return ok && sol.Ann !== 0 && sol.Bob < 3 && sol.Slot3 !== 1 && (sol.Cat === 1 || sol.Cat === 2);
+        },
+        script: function (S) {
+            var people = ['Ann', 'Bob', 'Cat', 'Dan'], slots = ['Slot0', 'Slot1', 'Slot2', 'Slot3'];
+            var cat = ['Cat0', 'Cat1', 'Cat2', 'Cat3'];
+            S.decl(people.concat(slots), [[0, 3]]).decl(cat, [[0, 1]]);
+            S.inverse(people, slots);
+            S.channel_bool(cat, 'Cat');
+            S.neq('Ann', S.konst(0));
+            S.neq('Slot3', S.konst(1));
+            S.bool_clause(['Cat1', 'Cat2'], []);
+            FD.distribute.naive(S, people);
+            return S;
+        }
+    },
+    {   name: 'test_table',
+        description: "Product configuration from tables of allowed and forbidden (Model, Color, Size) combinations",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var key = [sol.Model, sol.Color, sol.Size].join(',');
+            return ['0,0,1', '0,1,2', '1,1,1', '1,2,3', '2,0,2'].indexOf(key) >= 0
+                && ['1,1,1', '2,0,2'].indexOf(key) < 0
+                && sol.Size >= 2;
+        },
+        script: function (S) {
+            var root = ['Model', 'Color', 'Size'];
+            S.decl(root, [[0, 3]]);
+            S.table(root, [[0, 0, 1], [0, 1, 2], [1, 1, 1], [1, 2, 3], [2, 0, 2]]);
+            S.table_not(root, [[1, 1, 1], [2, 0, 2]]);
+            S.lte(S.konst(2), 'Size');
+            FD.distribute.naive(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_cumulative',
+        description: "Four jobs sharing 3 units of a resource within a horizon of 5 time steps. Job D's duration is variable.",
+        search: FD.search.depth_first,
+        max_solutions: 10,
+        verify: function (sol) {
+            var starts = [sol.A, sol.B, sol.C, sol.D];
+            var durations = [2, 3, 1, sol.DurD];
+            var demands = [2, 1, 2, 1];
+            var t, i, use;
+            for (t = 0; t < 5; ++t) {
+                for (i = 0, use = 0; i < 4; ++i) {
+                    if (starts[i] <= t && t < starts[i] + durations[i]) {
+                        use += demands[i];
+                    }
+                }
+                if (use > 3) {
+                    return false;
+                }
+            }
+            return sol.DurD >= 2 && sol.A + 2 <= 5 && sol.B + 3 <= 5 && sol.C + 1 <= 5 && sol.D + sol.DurD <= 5;
+        },
+        script: function (S) {
+            var root = ['A', 'B', 'C', 'D', 'DurD'];
+            S.decl('A', [[0, 3]]).decl('B', [[0, 2]]).decl('C', [[0, 4]]).decl('D', [[0, 3]]).decl('DurD', [[2, 3]]);
+            S.lte(S.plus('D', 'DurD'), S.konst(5));
+            S.cumulative(['A', 'B', 'C', 'D'], [2, 3, 1, 'DurD'], [2, 1, 2, 1], 3);
+            FD.distribute.naive(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_cumulative_names',
+        description: "Two jobs of 2 time steps needing 2 and 1 units of a resource with a capacity of 2, where a duration, a demand and the capacity are a temp and konsts",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.A + 2 <= sol.B || sol.B + 2 <= sol.A;
+        },
+        script: function (S) {
+            S.decl(['A', 'B'], [[0, 3]]);
+            S.cumulative(['A', 'B'], [S.temp([[2, 2]]), 2], [S.konst(2), 1], S.konst(2));
+            FD.distribute.naive(S, ['A', 'B']);
+            return S;
+        }
+    },
+    {   name: 'test_no_overlap',
+        description: "Four jobs taking 3, 2, 4 and 1 time steps on a single machine, all done within 10 time steps. Job C comes before job A.",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var starts = [sol.A, sol.B, sol.C, sol.D];
+            var durations = [3, 2, 4, 1];
+            var i, j;
+            for (i = 0; i < 4; ++i) {
+                if (starts[i] < 0 || starts[i] + durations[i] > 10) {
+                    return false;
+                }
+                for (j = 0; j < i; ++j) {
+                    if (starts[i] < starts[j] + durations[j] && starts[j] < starts[i] + durations[i]) {
+                        return false;
+                    }
+                }
+            }
+            return sol.C < sol.A;
+        },
+        script: function (S) {
+            var root = ['A', 'B', 'C', 'D'];
+            S.decl('A', [[0, 7]]).decl('B', [[0, 8]]).decl('C', [[0, 6]]).decl('D', [[0, 9]]);
+            S.lt('C', 'A');
+            S.no_overlap(root, [3, 2, 4, 1]);
+            FD.distribute.naive(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_no_overlap_names',
+        description: "Jobs of 2, 3 and 1 time steps filling up 6 time steps on a single machine, where the first two durations are a konst and a temp",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var order = [[sol.A, 2], [sol.B, 3], [sol.C, 1]].sort(function (a, b) { return a[0] - b[0]; });
+            return order[0][0] === 0 && order[1][0] === order[0][1] && order[2][0] === order[1][0] + order[1][1];
+        },
+        script: function (S) {
+            S.decl('A', [[0, 4]]).decl('B', [[0, 3]]).decl('C', [[0, 5]]);
+            S.no_overlap(['A', 'B', 'C'], [S.konst(2), S.temp([[3, 3]]), 1]);
+            FD.distribute.naive(S, ['A', 'B', 'C']);
+            return S;
+        }
+    },
+    {   name: 'test_diffn',
+        description: 'Cutting pieces of 3x2, 2x2, 3x2 and 2x2 out of a 5x4 sheet',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var w = [3, 2, 3, 2], h = [2, 2, 2, 2];
+            var i, j, ok = true;
+            for (i = 0; i < 4; ++i) {
+                ok = ok && sol['X' + i] + w[i] <= 5 && sol['Y' + i] + h[i] <= 4;
+                for (j = 0; j < i; ++j) {
+                    ok = ok && (sol['X' + i] + w[i] <= sol['X' + j] || sol['X' + j] + w[j] <= sol['X' + i]
+                                || sol['Y' + i] + h[i] <= sol['Y' + j] || sol['Y' + j] + h[j] <= sol['Y' + i]);
+                }
+            }
+            return ok;
+        },
+        script: function (S) {
+            var w = [3, 2, 3, 2], h = [2, 2, 2, 2];
+            var xs = [], ys = [], corners = [], i;
+            for (i = 0; i < 4; ++i) {
+                S.decl('X' + i, [[0, 5 - w[i]]]).decl('Y' + i, [[0, 4 - h[i]]]);
+                xs.push('X' + i);
+                ys.push('Y' + i);
+                corners.push('X' + i, 'Y' + i);
+            }
+            S.diffn(xs, ys, w, h);
+            FD.distribute.naive(S, corners);
+            return S;
+        }
+    },
+    {   name: 'test_diffn_names',
+        description: 'Pieces of 2x2 and 1x2 side by side on a 3x2 sheet, where the first width is a konst and the second height a temp',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.Y0 === 0 && sol.Y1 === 0 && (sol.X0 + 2 <= sol.X1 || sol.X1 + 1 <= sol.X0);
+        },
+        script: function (S) {
+            S.decl('X0', [[0, 1]]).decl('X1', [[0, 2]]).decl(['Y0', 'Y1'], [[0, 0]]);
+            S.diffn(['X0', 'X1'], ['Y0', 'Y1'], [S.konst(2), 1], [2, S.temp([[2, 2]])]);
+            FD.distribute.naive(S, ['X0', 'X1']);
+            return S;
+        }
+    },
+    {   name: 'test_bin_packing',
+        description: 'Items of sizes 4, 3, 3, 2, 2 and 2 packed into three bins that hold 6 each, with the first item in bin 0',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var sizes = [4, 3, 3, 2, 2, 2], loads = [0, 0, 0];
+            var i;
+            for (i = 0; i < sizes.length; ++i) {
+                loads[sol['Item' + i]] += sizes[i];
+            }
+            return sol.Item0 === 0 && loads.every(function (l, b) { return l <= 6 && l === sol['Load' + b]; });
+        },
+        script: function (S) {
+            var items = ['Item0', 'Item1', 'Item2', 'Item3', 'Item4', 'Item5'];
+            var loads = ['Load0', 'Load1', 'Load2'];
+            S.decl(items, [[0, 2]]).decl(loads, [[0, 6]]);
+            S.num('Item0', 0);
+            S.bin_packing(items, [4, 3, 3, 2, 2, 2], loads);
+            FD.distribute.naive(S, items);
+            return S;
+        }
+    },
+    {   name: 'test_bin_packing_names',
+        description: 'Items of sizes 3, 2 and 1 packed into two bins, where the load of bin 0 is a konst of 3 and that of bin 1 a temp of at most 3',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var sizes = [3, 2, 1], loads = [0, 0];
+            var i;
+            for (i = 0; i < sizes.length; ++i) {
+                loads[sol['Item' + i]] += sizes[i];
+            }
+            return loads[0] === 3 && loads[1] === 3;
+        },
+        script: function (S) {
+            var items = ['Item0', 'Item1', 'Item2'];
+            S.decl(items, [[0, 1]]);
+            S.bin_packing(items, [3, 2, 1], [S.konst(3), S.temp([[0, 3]])]);
+            FD.distribute.naive(S, items);
+            return S;
+        }
+    },
+    {   name: 'test_gcc',
+        description: "A week's roster of shifts (0 = off, 1 = day, 2 = night) with exactly 2 nights, 2 days off, at least 4 working days and no work on Sunday",
+        search: FD.search.depth_first,
+        max_solutions: 10,
+        verify: function (sol) {
+            var days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+            function count(pred) {
+                return days.filter(function (d) { return pred(sol[d]); }).length;
+            }
+            return count(function (s) { return s === 2; }) === 2
+                && count(function (s) { return s === 0; }) === 2
+                && count(function (s) { return s >= 1; }) === sol.Working && sol.Working >= 4
+                && sol.Sun === 0 && sol.Nights === 2;
+        },
+        script: function (S) {
+            var days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+            S.decl(days, [[0, 2]]).decl('Working', [[4, 7]]).num('Sun', 0);
+            S.eq(S.count(days, 2), S.konst(2));
+            S.among(days, [[1, 2]], 'Working');
+            S.decl('Nights');
+            S.gcc(days, {0: [2, 2], 2: 'Nights'});
+            FD.distribute.naive(S, days);
+            return S;
+        }
+    },
+    {   name: 'test_regular',
+        description: "A nonogram row of 5 cells with the clue [2, 1], given as an automaton",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return /^0*110+10*$/.test([sol.C1, sol.C2, sol.C3, sol.C4, sol.C5].join(''));
+        },
+        script: function (S) {
+            var row = ['C1', 'C2', 'C3', 'C4', 'C5'];
+            S.decl(row, [[0, 1]]);
+            S.regular(row, {
+                start: 0,
+                accepting: [4, 5],
+                transitions: [
+                    [0, 0, 0], [0, 1, 1],
+                    [1, 1, 2],
+                    [2, 0, 3],
+                    [3, 0, 3], [3, 1, 4],
+                    [4, 0, 5],
+                    [5, 0, 5]
+                ]
+            });
+            FD.distribute.naive(S, row);
+            return S;
+        }
+    },
+    {   name: 'test_circuit',
+        description: 'Tours that visit all 6 nodes of a small road network once, each node listing its possible successors',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var i, n = 0, seen = {};
+            for (i = 0; !seen[i]; i = sol['Next' + i], ++n) {
+                seen[i] = true;
+            }
+            return i === 0 && n === 6;
+        },
+        script: function (S) {
+            var roads = [[1, 2, 3], [2, 4], [0, 3, 5], [1, 4], [0, 5], [0, 3]];
+            var succ = roads.map(function (r, i) {
+                S.decl('Next' + i, r.map(function (j) { return [j, j]; }));
+                return 'Next' + i;
+            });
+            S.circuit(succ);
+            FD.distribute.naive(S, succ);
+            return S;
+        }
+    },
+    {   name: 'test_subcircuit',
+        description: 'Cycles through nodes 0 and 3 of a 5 node complete graph, leaving out any of the other nodes',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var i, n = 0, seen = {}, inside = 0;
+            for (i = 0; i < 5; ++i) {
+                inside += sol['Next' + i] !== i ? 1 : 0;
+            }
+            for (i = 0; !seen[i]; i = sol['Next' + i], ++n) {
+                seen[i] = true;
+            }
+            return i === 0 && n === inside && seen[3];
+        },
+        script: function (S) {
+            var succ = ['Next0', 'Next1', 'Next2', 'Next3', 'Next4'];
+            S.decl(succ, [[0, 4]]);
+            S.neq('Next0', S.konst(0));
+            S.neq('Next3', S.konst(3));
+            S.subcircuit(succ);
+            FD.distribute.naive(S, succ);
+            return S;
+        }
+    },
+    {   name: 'test_lex_chain',
+        description: 'Permutation matrices of size 4 with interchangeable rows - ordering the rows lexicographically leaves just one of the 24',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var i, j, row, prev = null, ok = true;
+            for (i = 0; i < 4; ++i) {
+                row = '';
+                for (j = 0; j < 4; ++j) {
+                    row += sol['M' + i + j];
+                }
+                ok = ok && (prev === null || prev < row) && row.split('1').length === 2;
+                prev = row;
+            }
+            return ok;
+        },
+        script: function (S) {
+            var rows = [], cols = [[], [], [], []];
+            var i, j;
+            for (i = 0; i < 4; ++i) {
+                rows.push([]);
+                for (j = 0; j < 4; ++j) {
+                    S.decl('M' + i + j, [[0, 1]]);
+                    rows[i].push('M' + i + j);
+                    cols[j].push('M' + i + j);
+                }
+            }
+            rows.concat(cols).forEach(function (line) {
+                S.linear([1, 1, 1, 1], line, '=', 1);
+            });
+            S.lex_chain(rows, true);
+            FD.distribute.naive(S, Array.prototype.concat.apply([], rows));
+            return S;
+        }
+    },
+    {   name: 'test_steiner_triples',
+        description: 'A Steiner triple system of order 7 - seven 3-element subsets of {1, ..., 7} every two of which share exactly one element, with 1 in the first set',
+        search: FD.search.depth_first,
+        max_solutions: 3,
+        verify: function (sol) {
+            var i, j, ok = sol.T0.indexOf(1) >= 0;
+            function common(s1, s2) {
+                return s1.filter(function (v) { return s2.indexOf(v) >= 0; }).length;
+            }
+            for (i = 0; i < 7; ++i) {
+                ok = ok && sol['T' + i].length === 3;
+                for (j = 0; j < i; ++j) {
+                    ok = ok && common(sol['T' + i], sol['T' + j]) === 1;
+                }
+            }
+            return ok;
+        },
+        script: function (S) {
+            var sets = [], i, j;
+            for (i = 0; i < 7; ++i) {
+                S.decl_set('T' + i, [[1, 7]], [[3, 3]]);
+                sets.push('T' + i);
+            }
+            for (i = 0; i < 7; ++i) {
+                for (j = 0; j < i; ++j) {
+                    S.card(S.intersection('T' + i, 'T' + j), S.konst(1));
+                }
+            }
+            S.set_in(S.konst(1), 'T0');
+            FD.distribute.set(S, sets);
+            return S;
+        }
+    },
+    {   name: 'test_set_clone',
+        description: 'A set B declared in a clone of the space does not show up in the space itself, which can then declare its own B',
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.A.length === 2 && sol.A.every(function (v) { return v >= 1 && v <= 3; })
+                && sol.B.length === 1 && sol.B[0] >= 5 && sol.B[0] <= 6;
+        },
+        script: function (S) {
+            var C;
+            S.decl_set('A', [[1, 3]], [[2, 2]]);
+            C = new FD.space(S);
+            C.decl_set('B', [[1, 3]]);
+            S.solution();
+            S.decl_set('B', [[5, 6]], [[1, 1]]);
+            FD.distribute.set(S, ['A', 'B']);
+            return S;
+        }
+    },
+    {   name: 'test_boolean',
+        description: "Boolean connectives: (A or B), (A xor C), (B implies C), not (A and D), clause (D or not B)",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return (sol.A || sol.B) && (sol.A !== sol.C) && (!sol.B || sol.C)
+                && !(sol.A && sol.D) && (sol.D || !sol.B) && sol.NotA === 1 - sol.A;
+        },
+        script: function (S) {
+            var root = ['A', 'B', 'C', 'D'];
+            var one = S.konst(1);
+            S.decl(root, [[0, 1]]).decl('NotA');
+            S.or(['A', 'B'], one);
+            S.xor('A', 'C', one);
+            S.implies('B', 'C', one);
+            S.not(S.and(['A', 'D']), one);
+            S.bool_clause(['D'], ['B']);
+            S.not('A', 'NotA');
+            FD.distribute.naive(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_clause',
+        description: "Options A..F: A implies B, C or D, not both E and F, B implies E or F, at most 3 and at least N in [[2, 3]] chosen",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            var count = sol.A + sol.B + sol.C + sol.D + sol.E + sol.F;
+            return (!sol.A || sol.B) && (sol.C || sol.D) && !(sol.E && sol.F)
+                && (!sol.B || sol.E || sol.F) && count <= 3 && count >= sol.N;
+        },
+        script: function (S) {
+            var root = ['A', 'B', 'C', 'D', 'E', 'F'];
+            S.decl(root, [[0, 1]]).decl('N', [[2, 3]]);
+            S.clause(['B'], ['A']);
+            S.clause(['C', 'D'], []);
+            S.clause([], ['E', 'F']);
+            S.clause(['E', 'F'], ['B']);
+            S.bool_sum_lte(root, 3);
+            S.bool_sum_gte(root, 'N');
+            FD.distribute.naive(S, root.concat(['N']));
+            return S;
+        }
+    },
+    {   name: 'test_bool_sum_names',
+        description: "Exactly two of A..D chosen, as at most a konst of 2 and at least a temp fixed to 2",
+        search: FD.search.depth_first,
+        verify: function (sol) {
+            return sol.A + sol.B + sol.C + sol.D === 2;
+        },
+        script: function (S) {
+            var root = ['A', 'B', 'C', 'D'];
+            S.decl(root, [[0, 1]]);
+            S.bool_sum_lte(root, S.konst(2));
+            S.bool_sum_gte(root, S.temp([[2, 2]]));
+            FD.distribute.naive(S, root);
+            return S;
+        }
+    },
+    {   name: 'test_reified_global',
+        description: "Exactly two of distinct([X, Y, Z]), X + Y = Z, [3, 1, 2][X] = Y and X in [[2, 3]] hold, with X, Y, Z in [[0, 3]]",
+        search: FD.search.depth_first,
+        max_solutions: 20,
+        verify: function (sol) {
+            var conds = [
+                sol.X !== sol.Y && sol.Y !== sol.Z && sol.X !== sol.Z,
+                sol.X + sol.Y === sol.Z,
+                [3, 1, 2][sol.X] === sol.Y,
+                sol.X >= 2 && sol.X <= 3
+            ];
+            return conds.filter(function (c) { return c; }).length === 2;
+        },
+        script: function (S) {
+            var root = ['X', 'Y', 'Z'];
+            S.decl(root, [[0, 3]]);
+            S.sum([
+                S.reified('distinct', [root, 'domain']),
+                S.reified('plus', ['X', 'Y', 'Z']),
+                S.reified('element', ['X', [3, 1, 2], 'Y']),
+                S.reified('in', ['X', [[2, 3]]])
+            ], S.konst(2));
+            FD.distribute.naive(S, root);
+            return S;
+        }
     }];
 
     function test_simple_bab(dist_strategy) {
@@ -773,6 +1502,258 @@ try {
 
    tests.push(test_n_queens(8));
 
+   (function () {
+       var t = test_n_queens(8);
+       t.name = t.name + '+trail';
+       t.search = function (state) {
+           state.trail = true;
+           return FD.search.depth_first(state);
+       };
+       tests.push(t);
+   })();
+
+    function test_trail_solved_at_root() {
+        var root;
+
+        return {
+            name: 'test_trail_solved_at_root',
+            description: "Trail based search of a space that propagation alone solves stops recording the trail",
+            search: function (state) {
+                state.trail = true;
+                return FD.search.depth_first(state);
+            },
+            verify: function (sol) {
+                return sol.X === 3 && sol.Y === 3 && root._trail === null
+                    && root.vars.X.trail === null && root.vars.Y.trail === null;
+            },
+            script: function (S) {
+                root = S;
+                S.decl('X', [[0, 5]]).num('Y', 3);
+                S.eq('X', 'Y');
+                FD.distribute.naive(S, ['X']);
+                return S;
+            }
+        };
+    }
+
+    tests.push(test_trail_solved_at_root());
+
+    function test_propagation_events() {
+        // Number of times the 'fixed' propagator below got to run in
+        // a clone before X was determined.
+        var early = 0;
+
+        return {
+            name: 'test_propagation_events',
+            description: "A propagator asking for 'fixed' events isn't woken up by branchers narrowing its depvar and one added to a stable space runs on the next propagate",
+            search: FD.search.depth_first,
+            verify: function (sol) {
+                return sol.Y === sol.X + 1 && sol.W <= 1 && early === 0;
+            },
+            script: function (S) {
+                var k = S.konst(1);
+
+                S.decl('X', [[0, 3]]).decl('Y', [[0, 4]]).decl('W', [[0, 3]]);
+                S.newprop({
+                    allvars: ['X', 'Y'],
+                    depvars: ['X'],
+                    events: 'fixed',
+                    step: function () {
+                        var vs = this.space, before;
+                        if (vs[1].is_undetermined()) {
+                            if (vs[0].clone_of) {
+                                early++;
+                            }
+                            return 0;
+                        }
+
+                        before = vs[2].step;
+                        vs[2].constrain([[vs[1].min() + 1, vs[1].min() + 1]]);
+                        return vs[2].step - before;
+                    }
+                });
+                S.propagate();
+
+                // Depends only on a constant, so nothing but having
+                // been added can get it to run.
+                S.newprop({
+                    allvars: [k, 'W'],
+                    depvars: [k],
+                    step: function () {
+                        var vs = this.space, before = vs[2].step;
+                        vs[2].constrain([[0, vs[1].max()]]);
+                        return vs[2].step - before;
+                    }
+                });
+
+                FD.distribute.naive(S, ['X', 'Y', 'W']);
+                return S;
+            }
+        };
+    }
+
+    tests.push(test_propagation_events());
+
+    function test_propagation_costs() {
+        // All three wake up together when X gets fixed, and each one
+        // settles on a wrong value unless the cheaper ones ran before it.
+        function follow(cost, from, to) {
+            return {
+                allvars: ['X', from, to],
+                depvars: ['X'],
+                events: 'fixed',
+                cost: cost,
+                step: function () {
+                    var vs = this.space, before = vs[3].step;
+                    if (vs[1].is_undetermined()) {
+                        return 0;
+                    }
+
+                    if (vs[2].is_undetermined()) {
+                        vs[3].constrain([[0, 0]]);
+                    } else {
+                        vs[3].constrain([[vs[2].min() + 1, vs[2].min() + 1]]);
+                    }
+                    return vs[3].step - before;
+                }
+            };
+        }
+
+        return {
+            name: 'test_propagation_costs',
+            description: "Propagators woken up together run cheapest cost class first, whatever order they were added in",
+            search: FD.search.depth_first,
+            verify: function (sol) {
+                return sol.A === sol.X && sol.B === sol.X + 1 && sol.C === sol.X + 2;
+            },
+            script: function (S) {
+                S.decl('X', [[0, 2]]).decl(['A', 'B', 'C'], [[0, 4]]);
+                S.newprop(follow('expensive', 'B', 'C'));
+                S.newprop(follow('linear', 'A', 'B'));
+                S.newprop({
+                    allvars: ['X', 'A'],
+                    depvars: ['X'],
+                    events: 'fixed',
+                    cost: 'cheap',
+                    step: function () {
+                        var vs = this.space, before = vs[2].step;
+                        if (vs[1].is_undetermined()) {
+                            return 0;
+                        }
+
+                        vs[2].constrain(vs[1].dom);
+                        return vs[2].step - before;
+                    }
+                });
+
+                FD.distribute.naive(S, ['X']);
+                return S;
+            }
+        };
+    }
+
+    tests.push(test_propagation_costs());
+
+    function test_entailment() {
+        // What became of the propagators of the space once it was stable.
+        var facts = {};
+
+        return {
+            name: 'test_entailment',
+            description: "Propagators that hold whatever values their fd vars take are dropped by propagate and not copied into clones, and probes inside reified leave them as they were",
+            search: FD.search.depth_first,
+            verify: function (sol) {
+                return sol.X < sol.Y && sol.X < sol.Z && (sol.B === 1) === (sol.W <= 5) &&
+                    facts.dropped && facts.not_cloned && facts.restored_by_probe;
+            },
+            script: function (S) {
+                var n, r;
+
+                S.decl('X', [[0, 1]]).decl('Y', [[5, 6]]).decl('Z', [[0, 2]]).decl('W', [[4, 6]]).decl('B', [[0, 1]]);
+                S.lt('X', 'Z');
+
+                // Probing W in [[4, 5]] entails its membership propagator,
+                // but W can still be 6, so B stays undecided.
+                S.reified('in', ['W', [[0, 5]]], 'B');
+                n = S._propagators.length;
+
+                // Both hold whatever values X and Y take.
+                S.lt('X', 'Y');
+                S.linear([1, 1], ['X', 'Y'], '<=', 20);
+                S.propagate();
+
+                r = S._propagators[n - 1];
+                facts.dropped = S._propagators.length === n;
+                facts.not_cloned = new FD.space(S)._propagators.length === n;
+                facts.restored_by_probe = S.vars.B.size() === 2 && !r.p[0].solved && !r.np[0].solved;
+
+                FD.distribute.naive(S, ['X', 'Y', 'Z', 'W', 'B']);
+                return S;
+            }
+        };
+    }
+
+    tests.push(test_entailment());
+
+    function test_times_clamped() {
+        // The state of the space once the product has been propagated.
+        var facts = {};
+
+        return {
+            name: 'test_times_clamped',
+            description: "Domain consistent X * Y = Z with X in [[2, 3]] and Y in [[49999999, 50000001]] drops X = 3 and Y = 50000001 for products beyond FD.SUP and sets S.clamped, which clones inherit",
+            search: FD.search.depth_first,
+            verify: function (sol) {
+                return sol.X === 2 && sol.Z === 2 * sol.Y && sol.Y <= FD.SUP / 2
+                    && facts.clamped && facts.inherited;
+            },
+            script: function (S) {
+                S.decl('X', [[2, 3]]).decl('Y', [[49999999, 50000001]]).decl('Z');
+                S.times('X', 'Y', 'Z', 'domain');
+                S.propagate();
+
+                facts.clamped = S.clamped === true;
+                facts.inherited = new FD.space(S).clamped === true;
+
+                FD.distribute.naive(S, ['X', 'Y']);
+                return S;
+            }
+        };
+    }
+
+    tests.push(test_times_clamped());
+
+    function test_times_not_clamped() {
+        // The state of the space once the products have been propagated.
+        var facts = {};
+
+        return {
+            name: 'test_times_not_clamped',
+            description: "S.clamped stays false when X * Y = Z drops values of Y only because of Z in [[0, 6]], and when the clamping happens in a probe of reified A * B = C",
+            search: FD.search.depth_first,
+            verify: function (sol) {
+                return sol.X === 2 && sol.Z === 2 * sol.Y && sol.C === sol.A * sol.B && facts.not_clamped;
+            },
+            script: function (S) {
+                S.num('X', 2).decl('Y').decl('Z', [[0, 6]]);
+                S.times('X', 'Y', 'Z', 'domain');
+
+                // Nothing decides B until the probe is over.
+                S.decl('A', [[2, 3]]).decl('B', [[49999999, 50000001]]).decl('C').decl('Bool', [[0, 1]]);
+                S.reified('times', ['A', 'B', 'C', 'domain'], 'Bool');
+                S.propagate();
+
+                facts.not_clamped = S.clamped === false && S.vars.Bool.size() === 2;
+
+                S.eq('Bool', S.konst(1));
+                FD.distribute.naive(S, ['Y', 'A', 'B']);
+                return S;
+            }
+        };
+    }
+
+    tests.push(test_times_not_clamped());
+
     var run_tests = (function () {
         var display = {};
         display.__proto__ = (document || console);